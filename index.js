@@ -17,6 +17,12 @@ const EXTENSION_VERSION = '1.0 Beta';
 import { loadMovingUIState } from '../../../power-user.js';
 import { dragElement } from '../../../RossAscends-mods.js';
 import { registerSlashCommand, executeSlashCommands } from '../../../slash-commands.js';
+import { getContext, saveMetadataDebounced, extension_settings } from '../../../extensions.js';
+import { eventSource, event_types, getThumbnailUrl, getUserAvatar, getRequestHeaders, saveSettingsDebounced, setExtensionPrompt, extension_prompt_types, extension_prompt_roles } from '../../../../script.js';
+import { MacrosParser } from '../../../macros.js';
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
+import { getBase64Async } from '../../../utils.js';
+import { user_avatar } from '../../../personas.js';
 
 // ===== CONFIGURATION =====
 const extensionName = 'SillyTavern-Interactive Map';
@@ -25,6 +31,12 @@ const extensionFolderPath = new URL('.', import.meta.url).pathname.replace(/\/$/
 
 const DEFAULT_MAP = 'SillyTavern.json'; // Moved to constant
 
+// Lines with an empty macro are dropped, see renderLocationTemplate()
+const DEFAULT_LOCATION_TEMPLATE = '[Current map: {{map_name}}]\n[Current location: {{map_zone}}]\n[{{map_zone_description}}]\n[Nearby: {{map_exits}}]';
+
+// What happens when an AI reply mentions a place, see followLocationInMessage()
+const FOLLOW_MODES = ['off', 'highlight', 'confirm', 'navigate'];
+
 const SELECTORS = {
   SVG_CONTAINER: '#svg-container',
   MAP_SELECTIONS: '#mapSelections',
@@ -37,6 +49,22 @@ const mapSettings = {
   enableTooltips: true,
   debugMode: false,
   maxMapCache: 10,
+  showTokens: true,
+  tokenAnimationDuration: 600,
+  backgroundFadeDuration: 1500,
+  showMinimap: true,
+  showZoneOutlines: false,
+  showZoneLabels: true,
+  musicVolume: 100,
+  ambienceVolume: 100,
+  sfxVolume: 100,
+  crossfadeDuration: 1500,
+  promptEnabled: true,
+  promptTemplate: DEFAULT_LOCATION_TEMPLATE,
+  promptDepth: 4,
+  promptRole: 'system',
+  followMode: 'off',
+  followMinWords: 1,
   fetchTimeout: 10000,
   indexTimeout: 3000,
   defaultMap: DEFAULT_MAP // Added to settings
@@ -50,93 +78,389 @@ const extensionState = {
   isMapLoaded: false,
   lastError: null,
   currentMapElement: null, // Actually used
+  currentMapData: null, // Data of the map currently rendered by initMap (current floor of layered maps)
+  currentMapSource: null, // Map passed to initMap, with all its layers and variants
+  currentVariantId: '', // Variant of the rendered map, '' for its default look
+  currentZoneId: null, // Id of the last clicked zone
+  tokenPlacements: {}, // mapPath → { tokenName: zoneId | [x, y] }
+  discoveredZones: {}, // mapPath → zone ids revealed in fog of war
+  mapLayers: {}, // mapPath → { floor, overlays } of layered maps
+  mapVariants: {}, // mapPath → variant id picked with /map_variant ('' for the default look)
+  spriteChanges: {}, // mapPath → { spriteId: sprite added by scripts | null for a removed map sprite }
   // svgContainer: null, ← DELETION: searched via getElementById each time
 };
 
 // ===== VALIDATION =====
+/** @typedef {Object} MapBackground
+ *  @property {string} file
+ *  @property {number|string} width
+ *  @property {number|string} height
+ */
+
+/** @typedef {Object} MapShape
+ *  @property {string} id
+ *  @property {string} path
+ *  @property {string} color
+ *  @property {string} script
+ *  @property {string} [type] - Location type, "action" zones are buttons rather than places
+ *  @property {boolean} [location] - Whether a click moves the party here, false for "action" zones by default
+ *  @property {string} [tooltip]
+ *  @property {string} [description] - Longer text of the hover card
+ *  @property {string} [thumbnail] - Hover card image from the images folder
+ *  @property {string} [hint] - What a click does, derived from the script by default
+ *  @property {string[]} [aliases] - Other names AI replies may use for the zone
+ *  @property {boolean} [followNames] - false to match only aliases in AI replies, not the name and id
+ *  @property {number} [opacity] - Hover opacity, mapSettings.hoverOpacity by default
+ *  @property {string} [stroke] - Outline color, shape color by default
+ *  @property {number} [strokeWidth] - Outline width in screen pixels
+ *  @property {boolean} [dashed] - Dashed outline
+ *  @property {string} [fill] - Resting fill color, the zone is transparent until hovered without it
+ *  @property {number} [fillOpacity] - Resting fill opacity
+ *  @property {string|boolean} [label] - Label text, true for the zone name, false for no label
+ *  @property {{x: number, y: number}} [labelPosition] - Label point, polygon centroid by default
+ *  @property {string} [icon] - Font Awesome icon ("fa-store") or image from the images folder
+ *  @property {string|Object} [condition] - See ZoneCondition
+ */
+
+/** @typedef {Object} ValidationIssue
+ *  @property {string} path - JSON pointer to the invalid value, e.g. "/shapes/2/color"
+ *  @property {string} message
+ *  @property {'error'|'warning'} severity
+ */
+
 /**
-* Full map structure validation.
-* @param {unknown} data
-* @returns {{ valid: boolean, errors: string[] }}
+* Minimal schema used when map-schema.json cannot be loaded.
+* Describes only what initMap() cannot work without.
+*/
+const BASE_MAP_SCHEMA = {
+    type: 'object',
+    required: ['backgroundImage'],
+    properties: {
+        backgroundImage: {
+            type: 'object',
+            required: ['file', 'width', 'height'],
+            properties: {
+                file: { type: 'string' },
+                width: { type: ['number', 'string'], pattern: '^\\d+(\\.\\d+)?$', minimum: 1 },
+                height: { type: ['number', 'string'], pattern: '^\\d+(\\.\\d+)?$', minimum: 1 },
+            },
+        },
+        shapes: {
+            type: 'array',
+            minItems: 1,
+            'x-uniqueBy': 'id',
+            items: { $ref: '#/definitions/shape' },
+        },
+        layers: {
+            type: 'array',
+            minItems: 1,
+            'x-uniqueBy': 'id',
+            items: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    backgroundImage: {
+                        type: 'object',
+                        required: ['file'],
+                        properties: { file: { type: 'string', minLength: 1 } },
+                    },
+                    shapes: { type: 'array', 'x-uniqueBy': 'id', items: { $ref: '#/definitions/shape' } },
+                },
+            },
+        },
+    },
+    definitions: {
+        shape: {
+            type: 'object',
+            required: ['id', 'path', 'color', 'script'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                path: { type: 'string', minLength: 1 },
+                color: { type: 'string', pattern: '^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$' },
+                script: { type: 'string' },
+            },
+        },
+    },
+};
+
+/** @type {object|null} Loaded map-schema.json */
+let mapSchema = null;
+
+/**
+* Loads map-schema.json once. Falls back to BASE_MAP_SCHEMA on failure
+* @returns {Promise<object>} Schema used for validation
+*/
+async function loadMapSchema() {
+    if (mapSchema) return mapSchema;
+
+    try {
+        mapSchema = await fetchJsonWithTimeout(`${extensionFolderPath}/map-schema.json`, {
+            timeout: mapSettings.indexTimeout,
+            timeoutMessage: 'Timeout loading map-schema.json',
+        });
+        return mapSchema;
+    } catch (error) {
+        console.warn('[Map] map-schema.json not loaded, using basic validation:', error.message);
+        return BASE_MAP_SCHEMA;
+    }
+}
+
+/**
+* Escapes a key for use in a JSON pointer (RFC 6901)
+* @param {string|number} key
+* @returns {string}
 */
-function validateMapData(data) {
-    /** @type {string[]} */
-    const errors = [];
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
 
-    if (!data || typeof data !== 'object') {
-        return { valid: false, errors: ['Map data must be an object'] };
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+* Validates a value against a draft-07 schema subset.
+*
+* Supported keywords: type, required, properties, additionalProperties, items,
+* minItems, maxItems, minLength, maxLength, pattern, enum, minimum, maximum, format (date),
+* allOf, $ref (local "#/definitions/..." pointers only).
+* Extensions: "x-severity": "warning" downgrades all issues in a subtree; inside allOf
+* it downgrades only those keywords, e.g. lengths that maps were never held to,
+* while the type check next to allOf stays an error.
+* "x-recommended" lists properties whose absence is a warning,
+* "x-uniqueBy" warns about array items sharing the same property value: maps loaded before
+* the check existed may have them, and lookups by id use the first item.
+* Unknown properties are always warnings: the extension ignores them.
+*
+* @param {unknown} value
+* @param {object} schema
+* @param {string} pointer - JSON pointer of value
+* @param {ValidationIssue[]} issues - Collected issues
+* @param {'error'|'warning'} severity
+* @param {object} [root] - Schema that $ref pointers are resolved against
+*/
+function validateAgainstSchema(value, schema, pointer, issues, severity = 'error', root = schema) {
+    if (!schema || typeof schema !== 'object') return;
+
+    const level = schema['x-severity'] === 'warning' ? 'warning' : severity;
+    const report = (message, at = pointer, sev = level) => {
+        issues.push({ path: at || '/', message, severity: sev });
+    };
+
+    if (typeof schema.$ref === 'string') {
+        const target = schema.$ref.startsWith('#/')
+            ? schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+            : undefined;
+        if (!target) {
+            report(`schema reference ${schema.$ref} not found`, pointer, 'warning');
+            return;
+        }
+        validateAgainstSchema(value, target, pointer, issues, level, root);
+        return;
     }
 
-    /** @typedef {Object} MapBackground
-     *  @property {string} file
-     *  @property {number|string} width
-     *  @property {number|string} height
-     */
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            report(`must be ${types.join(' or ')}, got ${getJsonType(value)}`);
+            return;
+        }
+    }
 
-    /** @typedef {Object} MapShape
-     *  @property {string} id
-     *  @property {string} path
-     *  @property {string} color
-     *  @property {string} script
-     *  @property {string} [tooltip]
-     */
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subschema => validateAgainstSchema(value, subschema, pointer, issues, level, root));
+    }
 
-    /** @type {MapData} */
-    const map = /** @type {MapData} */ (data);
-    const bg = map.backgroundImage;
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        report(`must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+    }
 
-    if (!bg || typeof bg.file !== 'string') {
-        errors.push('backgroundImage.file: required and must be a string');
+    if (typeof value === 'string') {
+        if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+            report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+            report(`must be at most ${schema.maxLength} characters (got ${value.length})`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report(`"${value}" does not match pattern ${schema.pattern}`);
+        }
+        if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+            report(`"${value}" is not a date (YYYY-MM-DD)`);
+        }
     }
 
-    const width = Number(bg?.width);
-    const height = Number(bg?.height);
+    if (typeof value === 'number') {
+        if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+            report(`must be >= ${schema.minimum} (got ${value})`);
+        }
+        if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+            report(`must be <= ${schema.maximum} (got ${value})`);
+        }
+    }
 
-    if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
-        errors.push('backgroundImage.width/height: must be positive numbers');
+    if (Array.isArray(value)) {
+        if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+            report(value.length === 0 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+            report(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                validateAgainstSchema(item, schema.items, `${pointer}/${i}`, issues, level, root);
+            });
+        }
+        if (schema['x-uniqueBy']) {
+            const key = schema['x-uniqueBy'];
+            const seen = new Map();
+            value.forEach((item, i) => {
+                const id = item && typeof item === 'object' ? item[key] : undefined;
+                if (id === undefined) return;
+                if (seen.has(id)) {
+                    report(`duplicate ${key} "${id}" (already used at ${pointer}/${seen.get(id)}, the first one is used)`, `${pointer}/${i}/${escapePointer(key)}`, 'warning');
+                } else {
+                    seen.set(id, i);
+                }
+            });
+        }
     }
 
-    if (!Array.isArray(map.shapes) || map.shapes.length === 0) {
-        errors.push('shapes: must be non-empty array');
-    } else {
-        map.shapes.forEach((shape, i) => {
-            validateShape(shape, i, errors);
+    if (getJsonType(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                report(`missing required property "${key}"`);
+            }
+        });
+
+        (schema['x-recommended'] || []).forEach(key => {
+            if (value[key] === undefined) {
+                report(`missing recommended property "${key}"`, pointer, 'warning');
+            }
         });
-    }
 
-    return { valid: errors.length === 0, errors };
+        Object.keys(value).forEach(key => {
+            const at = `${pointer}/${escapePointer(key)}`;
+            if (properties[key]) {
+                validateAgainstSchema(value[key], properties[key], at, issues, level, root);
+            } else if (schema.additionalProperties === false) {
+                report(`unknown property "${key}" is ignored`, at, 'warning');
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateAgainstSchema(value[key], schema.additionalProperties, at, issues, level, root);
+            }
+        });
+    }
 }
 
 /**
-* Validation of individual map shape.
-* @param {unknown} shape
-* @param {number} index
-* @param {string[]} errors
+* Checks of layered maps that schema keywords can't express: zones may live at the root
+* or in layers, and ids should be unique across all of them (duplicates are warnings, as in x-uniqueBy).
+* Overlays must name existing floors and have no background
+* @param {Object} data
+* @param {ValidationIssue[]} issues - Collected issues
 */
-function validateShape(shape, index, errors) {
-    if (!shape || typeof shape !== 'object') {
-        errors.push(`Shape[${index}]: must be an object`);
+function validateMapLayers(data, issues) {
+    const layers = Array.isArray(data.layers) ? data.layers : [];
+    if (data.shapes === undefined && layers.length === 0) {
+        issues.push({ path: '/', message: 'missing required property "shapes"', severity: 'error' });
         return;
     }
 
-    const s = /** @type {MapShape} */ (shape);
-    const prefix = `Shape[${index}]`;
+    const seen = new Map();
+    const checkShapes = (shapes, pointer) => {
+        if (!Array.isArray(shapes)) return;
+        shapes.forEach((shape, i) => {
+            const id = shape && typeof shape === 'object' ? shape.id : undefined;
+            if (typeof id !== 'string') return;
+            const first = seen.get(id);
+            if (!first) {
+                seen.set(id, { pointer, at: `${pointer}/${i}` });
+            } else if (first.pointer !== pointer) {
+                // Duplicates within one array are reported by x-uniqueBy
+                issues.push({ path: `${pointer}/${i}/id`, message: `duplicate id "${id}" (already used at ${first.at}, the first one is used)`, severity: 'warning' });
+            }
+        });
+    };
 
-    if (!s.id || !s.path || !s.color || !s.script) {
-        errors.push(`${prefix}: missing required fields (id, path, color, script)`);
-    }
+    checkShapes(data.shapes, '/shapes');
+    layers.forEach((layer, i) => checkShapes(layer?.shapes, `/layers/${i}/shapes`));
 
-    if (typeof s.script !== 'string') {
-        errors.push(`${prefix}.script: must be a string`);
-    }
+    const floorIds = layers.filter(layer => layer && !layer.overlay).map(layer => layer.id);
+    layers.forEach((layer, i) => {
+        // Overlays are drawn over the floor background, they have none of their own
+        if (layer?.overlay && layer.backgroundImage !== undefined) {
+            issues.push({ path: `/layers/${i}/backgroundImage`, message: 'backgroundImage of an overlay is ignored, only floors have backgrounds', severity: 'warning' });
+        }
+        if (!layer?.overlay || !Array.isArray(layer.floors)) return;
+        layer.floors.forEach((floor, j) => {
+            if (!floorIds.includes(floor)) {
+                issues.push({ path: `/layers/${i}/floors/${j}`, message: `unknown floor "${floor}"`, severity: 'warning' });
+            }
+        });
+    });
+}
 
-    if (typeof s.path !== 'string') {
-        errors.push(`${prefix}.path: must be a string`);
-    }
+/**
+* Connections must join two different existing zones
+* @param {Object} data
+* @param {ValidationIssue[]} issues - Collected issues
+*/
+function validateMapConnections(data, issues) {
+    if (!Array.isArray(data.connections)) return;
+
+    const layers = Array.isArray(data.layers) ? data.layers : [];
+    const zoneIds = new Set([data.shapes, ...layers.map(layer => layer?.shapes)]
+        .filter(Array.isArray)
+        .flatMap(shapes => shapes.map(shape => shape?.id)));
+    data.connections.forEach((connection, i) => {
+        if (!connection || typeof connection !== 'object') return;
+        ['from', 'to'].forEach(end => {
+            if (typeof connection[end] === 'string' && !zoneIds.has(connection[end])) {
+                issues.push({ path: `/connections/${i}/${end}`, message: `unknown zone "${connection[end]}"`, severity: 'warning' });
+            }
+        });
+        if (connection.from === connection.to) {
+            issues.push({ path: `/connections/${i}`, message: 'connection leads to the same zone', severity: 'warning' });
+        }
+    });
+}
+
+/**
+* Full map structure validation against map-schema.json.
+* Call loadMapSchema() first, otherwise only basic checks are performed.
+* @param {unknown} data
+* @param {object} [schema] - Schema to validate against
+* @returns {{ valid: boolean, errors: string[], warnings: string[], issues: ValidationIssue[] }}
+*/
+function validateMapData(data, schema = mapSchema || BASE_MAP_SCHEMA) {
+    /** @type {ValidationIssue[]} */
+    const issues = [];
 
-    if (!isValidColor(s.color)) {
-        errors.push(`${prefix}.color: invalid color "${s.color}"`);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        issues.push({ path: '/', message: 'Map data must be an object', severity: 'error' });
+    } else {
+        validateAgainstSchema(data, schema, '', issues);
+        validateMapLayers(data, issues);
+        validateMapConnections(data, issues);
     }
+
+    const format = issue => `${issue.path}: ${issue.message}`;
+    const errors = issues.filter(i => i.severity === 'error').map(format);
+    const warnings = issues.filter(i => i.severity === 'warning').map(format);
+
+    return { valid: errors.length === 0, errors, warnings, issues };
 }
 
 function isValidColor(color) {
@@ -171,6 +495,180 @@ function validateAssetPath(filePath) {
   return true;
 }
 
+// ===== 💾 CHAT PERSISTENCE =====
+const CHAT_METADATA_KEY = 'interactive_map';
+
+/**
+* @typedef {Object} ChatMapState
+* @property {string|null} map - Path of the current map
+* @property {string|null} zone - Id of the last clicked zone
+* @property {boolean} windowOpen - Whether the map window was open
+* @property {{stack: string[], index: number}} [history] - Navigation history (see navigationState)
+* @property {Object<string, Object<string, string|number[]>>} [tokens] - Token placements per map
+* @property {Object<string, string[]>} [discovered] - Zones revealed in fog of war per map
+* @property {Object<string, {floor: string|null, overlays: string[]}>} [layers] - Floor and visible overlays per layered map
+* @property {Object<string, string>} [variants] - Picked variant per map, maps without one follow their variantVariable
+* @property {Object<string, Object<string, Object|null>>} [sprites] - Sprites added and removed by scripts per map
+*/
+
+/**
+* Returns map state saved in the current chat metadata
+* @returns {ChatMapState|null} null if no chat is open or nothing saved
+*/
+function getChatMapState() {
+  const context = getContext();
+  if (!context.chatId || !context.chatMetadata) return null;
+
+  const state = context.chatMetadata[CHAT_METADATA_KEY];
+  return state && typeof state === 'object' ? state : null;
+}
+
+/**
+* Merges values into the map state of the current chat and saves metadata
+* @param {Partial<ChatMapState>} patch
+*/
+function saveChatMapState(patch) {
+  const context = getContext();
+  if (!context.chatId || !context.chatMetadata) return;
+
+  const current = getChatMapState() || { map: null, zone: null, windowOpen: false };
+  context.chatMetadata[CHAT_METADATA_KEY] = { ...current, ...patch };
+  saveMetadataDebounced();
+
+  if (mapSettings.debugMode) {
+    console.log('[Map] Chat map state saved:', context.chatMetadata[CHAT_METADATA_KEY]);
+  }
+}
+
+/**
+* Restores map, zone and window state of the chat that was just opened
+*/
+async function restoreChatMapState() {
+  const state = getChatMapState();
+
+  if (!state || !state.map) {
+    extensionState.currentZoneId = null;
+    extensionState.tokenPlacements = {};
+    extensionState.discoveredZones = {};
+    extensionState.mapLayers = {};
+    extensionState.mapVariants = {};
+    extensionState.spriteChanges = {};
+    resetNavigation();
+    closeMapWindow();
+    await updateLocationPrompt();
+    return;
+  }
+
+  extensionState.currentLoadedMap = state.map;
+  extensionState.currentZoneId = state.zone || null;
+  extensionState.tokenPlacements = state.tokens && typeof state.tokens === 'object' ? state.tokens : {};
+  extensionState.discoveredZones = state.discovered && typeof state.discovered === 'object' ? state.discovered : {};
+  extensionState.mapLayers = state.layers && typeof state.layers === 'object' ? state.layers : {};
+  extensionState.mapVariants = state.variants && typeof state.variants === 'object' ? state.variants : {};
+  extensionState.spriteChanges = state.sprites && typeof state.sprites === 'object' ? state.sprites : {};
+
+  const history = state.history;
+  const historyValid = history && Array.isArray(history.stack) && history.stack[history.index] === state.map;
+  if (historyValid) {
+    navigationState.stack = [...history.stack];
+    navigationState.index = history.index;
+  } else {
+    resetNavigation();
+  }
+
+  const $select = $(SELECTORS.MAP_SELECTIONS);
+  // Compared by value, map paths may contain quotes that would break a selector
+  if ($select.find('option').filter((_, option) => option.value === state.map).length > 0) {
+    $select.val(state.map);
+  }
+
+  if (state.windowOpen) {
+    await showMap(state.map, historyValid ? { historyIndex: history.index } : {});
+  } else {
+    closeMapWindow();
+  }
+
+  await updateLocationPrompt();
+
+  if (mapSettings.debugMode) {
+    console.log('[Map] Chat map state restored:', state);
+  }
+}
+
+// ===== 📍 LOCATION PROMPT =====
+/**
+* Current map and last entered zone of the chat are injected into the prompt
+* and available as {{map_name}}, {{map_zone}}, {{map_zone_description}} and {{map_exits}} macros
+*/
+const LOCATION_PROMPT_KEY = 'interactive_map_location';
+const LOCATION_PROMPT_ROLES = ['system', 'user', 'assistant'];
+
+/** @type {{map_name: string, map_zone: string, map_zone_description: string, map_exits: string}} */
+const locationMacros = {
+  map_name: '',
+  map_zone: '',
+  map_zone_description: '',
+  map_exits: '',
+};
+
+/**
+* Fills location template. Lines with a macro that has no value are dropped,
+* so "[Current location: {{map_zone}}]" disappears until a zone is entered
+* @param {string} template
+* @param {typeof locationMacros} values
+* @returns {string}
+*/
+function renderLocationTemplate(template, values) {
+  const macroPattern = /\{\{(map_name|map_zone|map_zone_description|map_exits)\}\}/g;
+
+  return template
+    .split('\n')
+    .filter(line => [...line.matchAll(macroPattern)].every(([, name]) => values[name]))
+    .map(line => line.replace(macroPattern, (_, name) => values[name]))
+    .join('\n')
+    .trim();
+}
+
+/**
+* Updates location macros and prompt injection from the chat map state
+* @returns {Promise<void>}
+*/
+async function updateLocationPrompt() {
+  const state = getChatMapState();
+  let mapData = null;
+
+  if (state?.map) {
+    try {
+      mapData = await loadMapData(state.map);
+    } catch (error) {
+      console.warn('[Map] Location prompt: map not loaded:', error.message);
+    }
+  }
+
+  // Chats saved before action zones stopped being locations may still point at a button
+  const found = mapData ? getAllMapShapes(mapData).find(s => s.id === state.zone) : null;
+  const shape = isLocationZone(found) ? found : null;
+  locationMacros.map_name = mapData ? (mapData.metadata?.name || getMapLabel(state.map)) : '';
+  locationMacros.map_zone = shape ? (shape.name || shape.id) : '';
+  locationMacros.map_zone_description = shape ? (shape.description || shape.tooltip || '') : '';
+  locationMacros.map_exits = shape ? describeZoneExits(mapData, shape.id) : '';
+
+  const prompt = mapData && mapSettings.promptEnabled
+    ? renderLocationTemplate(mapSettings.promptTemplate, locationMacros)
+    : '';
+  const role = extension_prompt_roles[mapSettings.promptRole.toUpperCase()] ?? extension_prompt_roles.SYSTEM;
+
+  setExtensionPrompt(LOCATION_PROMPT_KEY, prompt, extension_prompt_types.IN_CHAT, Math.round(mapSettings.promptDepth), false, role);
+
+  if (mapSettings.debugMode) console.log('[Map] Location prompt:', prompt || '(none)');
+}
+
+function registerLocationMacros() {
+  Object.keys(locationMacros).forEach(name => {
+    MacrosParser.registerMacro(name, () => locationMacros[name]);
+  });
+}
+
 // ===== HELPER UTILITIES =====
 /**
 * Loads JSON with timeout and proper resource cleanup
@@ -259,16 +757,20 @@ async function tryLoadMapsFromIndex() {
 }
 
 async function discoverAvailableMaps() {
+  // Maps imported from the UI live in user storage and survive extension updates
+  const importedMaps = getStoredSettings().importedMaps;
+
   try {
     const indexedMaps = await tryLoadMapsFromIndex();
-    extensionState.availableMaps = indexedMaps.length > 0 
-      ? indexedMaps 
+    const maps = [...new Set([...indexedMaps, ...importedMaps])];
+    extensionState.availableMaps = maps.length > 0 
+      ? maps 
       : [mapSettings.defaultMap]; // Using constant
     return extensionState.availableMaps;
   } catch (error) {
     console.error('[Map] Error discovering maps:', error);
-    extensionState.availableMaps = [mapSettings.defaultMap];
-    return [mapSettings.defaultMap];
+    extensionState.availableMaps = importedMaps.length > 0 ? [...importedMaps] : [mapSettings.defaultMap];
+    return extensionState.availableMaps;
   }
 }
 
@@ -286,7 +788,7 @@ async function loadMapData(mapName) {
 
     try {
         validateAssetPath(mapName);
-        const mapPath = `${extensionFolderPath}/${mapName}`;
+        const mapPath = resolveExtensionUrl(mapName);
         
         const data = await fetchJsonWithTimeout(mapPath, {
             timeout: mapSettings.fetchTimeout,
@@ -294,10 +796,14 @@ async function loadMapData(mapName) {
             treatNotOkAsEmpty: false,
         });
 
+        await loadMapSchema();
         const validation = validateMapData(data);
         if (!validation.valid) {
             throw new Error(`Validation error: ${validation.errors.join('; ')}`);
         }
+        if (validation.warnings.length > 0) {
+            console.warn(`[Map] ${mapName}: ${validation.warnings.length} validation warning(s)`, validation.warnings);
+        }
 
         // Cache management
         if (mapCache.size >= mapSettings.maxMapCache) {
@@ -314,1260 +820,7298 @@ async function loadMapData(mapName) {
     }
 }
 
-// ===== VISUALIZATION =====
-function resolveAssetPath(filePath) {
-  // Path safety check
-  validateAssetPath(filePath);
-  
-  if (filePath.startsWith('scripts/')) {
-    return filePath;
-  }
-  return `${extensionFolderPath}/${filePath}`;
-}
+/**
+* Validates map file without caching it (used by /map_validate)
+* @param {string} mapName - Map file name/path (relative to extension folder)
+* @returns {Promise<ReturnType<typeof validateMapData>>}
+* @throws {Error} On timeout, HTTP or JSON parse error
+*/
+async function validateMapFile(mapName) {
+    validateAssetPath(mapName);
 
-// ===== 🔈 MAP AUDIO SUPPORT =====
+    const data = await fetchJsonWithTimeout(resolveExtensionUrl(mapName), {
+        timeout: mapSettings.fetchTimeout,
+        timeoutMessage: `Timeout loading map: ${mapName}`,
+        init: { cache: 'no-cache' },
+    });
+
+    await loadMapSchema();
+    return validateMapData(data);
+}
 
-let mapAudioElement = null;
+// ===== ⚙️ STORED SETTINGS =====
+const SETTINGS_KEY = 'interactive_map';
 
 /**
-* Returns or creates hidden audio element for maps
-* @returns {HTMLAudioElement} Audio element
+* Returns extension data kept in SillyTavern's extension settings
+* @returns {{importedMaps: string[], importedAssets: Object<string, string>, settings: Object<string, *>,
+*   mapTrust: Object<string, string>, approvedScripts: string[], sandboxLog: Object[]}}
 */
-function getOrCreateMapAudioElement() {
-  // Check if element still exists in DOM
-  if (mapAudioElement && document.body.contains(mapAudioElement)) {
-    return mapAudioElement;
+function getStoredSettings() {
+  if (!extension_settings[SETTINGS_KEY] || typeof extension_settings[SETTINGS_KEY] !== 'object') {
+    extension_settings[SETTINGS_KEY] = {};
   }
-  
-  const audio = document.createElement('audio');
-  audio.id = 'mapSoundPlayer';
-  audio.style.display = 'none';
-  audio.preload = 'auto';
-  // audio.loop = true; // enable if looping needed
-  
-  document.body.appendChild(audio);
-  mapAudioElement = audio;
-  
-  return audio;
+
+  const stored = extension_settings[SETTINGS_KEY];
+  if (!Array.isArray(stored.importedMaps)) stored.importedMaps = [];
+  if (!stored.importedAssets || typeof stored.importedAssets !== 'object') stored.importedAssets = {};
+  if (!stored.settings || typeof stored.settings !== 'object') stored.settings = {};
+  if (!stored.mapTrust || typeof stored.mapTrust !== 'object') stored.mapTrust = {};
+  if (!Array.isArray(stored.approvedScripts)) stored.approvedScripts = [];
+  if (!Array.isArray(stored.sandboxLog)) stored.sandboxLog = [];
+
+  return stored;
 }
 
 /**
-* Stops current audio if playing
+* Settings that can be changed from the settings drawer and /map_config.
+* Values are kept in extension settings and applied on top of mapSettings defaults
 */
-function stopCurrentMapAudio() {
-  if (!mapAudioElement || !document.body.contains(mapAudioElement)) {
-    return;
+const MAP_SETTING_FIELDS = {
+  hoverOpacity: { type: 'number', min: 0, max: 1, step: 0.05, label: 'Zone hover opacity (0-1)' },
+  transitionDuration: { type: 'number', min: 0, max: 5000, step: 50, label: 'Zone hover animation (ms)' },
+  enableTooltips: { type: 'boolean', label: 'Show zone hover cards' },
+  showZoneOutlines: { type: 'boolean', label: 'Always show zone outlines' },
+  showZoneLabels: { type: 'boolean', label: 'Show zone labels and icons' },
+  showTokens: { type: 'boolean', label: 'Show character tokens' },
+  tokenAnimationDuration: { type: 'number', min: 0, max: 5000, step: 50, label: 'Token move animation (ms)' },
+  backgroundFadeDuration: { type: 'number', min: 0, max: 10000, step: 100, label: 'Background variant cross-fade (ms)' },
+  showMinimap: { type: 'boolean', label: 'Show minimap while zoomed in' },
+  musicVolume: { type: 'number', min: 0, max: 100, step: 1, label: 'Music volume (0-100)' },
+  ambienceVolume: { type: 'number', min: 0, max: 100, step: 1, label: 'Ambience volume (0-100)' },
+  sfxVolume: { type: 'number', min: 0, max: 100, step: 1, label: 'Effects volume (0-100)' },
+  crossfadeDuration: { type: 'number', min: 0, max: 10000, step: 100, label: 'Crossfade between tracks (ms)' },
+  promptEnabled: { type: 'boolean', label: 'Add current location to the prompt' },
+  promptTemplate: { type: 'text', label: 'Location prompt template ({{map_name}}, {{map_zone}}, {{map_zone_description}}, {{map_exits}})' },
+  promptDepth: { type: 'number', min: 0, max: 100, step: 1, label: 'Location prompt depth' },
+  promptRole: { type: 'select', options: LOCATION_PROMPT_ROLES, label: 'Location prompt role' },
+  followMode: { type: 'select', options: FOLLOW_MODES, label: 'Places mentioned in AI replies' },
+  followMinWords: { type: 'number', min: 1, max: 10, step: 1, label: 'Words a zone name or id needs to be followed' },
+  maxMapCache: { type: 'number', min: 1, max: 100, step: 1, label: 'Maps kept in cache' },
+  fetchTimeout: { type: 'number', min: 1000, max: 120000, step: 1000, label: 'Map load timeout (ms)' },
+  indexTimeout: { type: 'number', min: 500, max: 60000, step: 500, label: 'index.json load timeout (ms)' },
+  defaultMap: { type: 'string', label: 'Default map (used when no maps are found)' },
+  debugMode: { type: 'boolean', label: 'Debug logging in console' },
+};
+
+/**
+* Converts setting value (from UI or slash command) to its type and checks range
+* @param {string} key - mapSettings key
+* @param {unknown} value
+* @returns {number|boolean|string}
+* @throws {Error} If key is unknown or value is invalid
+*/
+function parseMapSettingValue(key, value) {
+  const field = MAP_SETTING_FIELDS[key];
+  if (!field) {
+    throw new Error(`Unknown setting "${key}". Settings: ${Object.keys(MAP_SETTING_FIELDS).join(', ')}`);
   }
-  
-  try {
-    mapAudioElement.pause();
-    mapAudioElement.currentTime = 0;
-  } catch (error) {
-    console.error('[Map] Error stopping audio:', error);
+
+  if (field.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['1', 'true', 'on', 'yes'].includes(text)) return true;
+    if (['0', 'false', 'off', 'no'].includes(text)) return false;
+    throw new Error(`${key} must be true or false`);
+  }
+
+  if (field.type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number) || number < field.min || number > field.max) {
+      throw new Error(`${key} must be a number from ${field.min} to ${field.max}`);
+    }
+    return number;
   }
+
+  const text = String(value).trim();
+  if (!text) {
+    throw new Error(`${key} must not be empty`);
+  }
+  if (field.type === 'select' && !field.options.includes(text)) {
+    throw new Error(`${key} must be one of: ${field.options.join(', ')}`);
+  }
+  if (key === 'defaultMap') {
+    validateAssetPath(text);
+  }
+  return text;
 }
 
 /**
-* Plays audio file from extension sounds folder
-* @param {string} soundFileName - file name or relative path within sounds
-* @returns {Promise}
+* Applies changed setting to the open map, caches and audio
+* @param {string} key - mapSettings key
 */
-async function playMapSound(soundFileName) {
-    try {
-        if (!soundFileName) return;
+function applyMapSetting(key) {
+  const svg = getSvgContainer();
+
+  switch (key) {
+    case 'hoverOpacity':
+    case 'transitionDuration':
+    case 'showZoneOutlines':
+      if (svg) applyZoneStyleSettings(svg, extensionState.currentMapData);
+      break;
+    case 'enableTooltips':
+      if (!mapSettings.enableTooltips) hideHoverCard();
+      break;
+    case 'showTokens':
+      renderMapTokens();
+      break;
+    case 'showZoneLabels':
+      renderMapLabels();
+      break;
+    case 'showMinimap':
+      updateMinimap();
+      break;
+    case 'musicVolume':
+    case 'ambienceVolume':
+    case 'sfxVolume':
+      applyChannelVolume(key.replace('Volume', ''));
+      break;
+    case 'promptEnabled':
+    case 'promptTemplate':
+    case 'promptDepth':
+    case 'promptRole':
+      updateLocationPrompt().catch(error => console.error('[Map] Error updating location prompt:', error));
+      break;
+    case 'maxMapCache':
+      while (mapCache.size > mapSettings.maxMapCache) {
+        mapCache.delete(mapCache.keys().next().value);
+      }
+      break;
+  }
+}
 
-        let relativePath = soundFileName.trim();
+/**
+* Changes setting, saves it to extension settings and applies it live
+* @param {string} key - mapSettings key
+* @param {unknown} value - Raw value, converted by parseMapSettingValue
+* @returns {number|boolean|string} New value
+* @throws {Error} If key is unknown or value is invalid
+*/
+function setMapSetting(key, value) {
+  const parsed = parseMapSettingValue(key, value);
 
-        // Ensure path points to sounds folder
-        if (!relativePath.toLowerCase().startsWith('sounds/')) {
-            relativePath = `sounds/${relativePath}`;
-        }
+  mapSettings[key] = parsed;
+  getStoredSettings().settings[key] = parsed;
+  saveSettingsDebounced();
 
-        // Add .mp3 by default if no extension
-        const lower = relativePath.toLowerCase();
-        const hasExt =
-            lower.endsWith('.mp3') ||
-            lower.endsWith('.ogg') ||
-            lower.endsWith('.wav') ||
-            lower.endsWith('.m4a') ||
-            lower.endsWith('.webm');
+  applyMapSetting(key);
+  updateMapSettingControl(key);
 
-        if (!hasExt) {
-            relativePath += '.mp3';
-        }
+  if (mapSettings.debugMode) console.log(`[Map] Setting ${key} =`, parsed);
+  return parsed;
+}
 
-        // Security check for relative path within extension
-        validateAssetPath(relativePath);
+/**
+* Puts saved settings into mapSettings. Invalid saved values are dropped
+*/
+function loadStoredMapSettings() {
+  const saved = getStoredSettings().settings;
 
-        const audioSrc = `${extensionFolderPath}/${relativePath}`;
-        const audio = getOrCreateMapAudioElement();
+  for (const [key, value] of Object.entries(saved)) {
+    try {
+      mapSettings[key] = parseMapSettingValue(key, value);
+    } catch (error) {
+      console.warn(`[Map] Saved setting ${key} ignored:`, error.message);
+      delete saved[key];
+    }
+  }
+}
 
-        // Prepare new track
-        stopCurrentMapAudio();
-        audio.src = audioSrc;
-        audio.currentTime = 0;
+/**
+* Builds settings drawer controls for MAP_SETTING_FIELDS
+* @returns {string} HTML
+*/
+function getMapSettingsHtml() {
+  return Object.entries(MAP_SETTING_FIELDS).map(([key, field]) => {
+    const id = `map_setting_${key}`;
+
+    if (field.type === 'boolean') {
+      return `
+            <label class="checkbox_label" for="${id}">
+              <input id="${id}" type="checkbox" data-map-setting="${key}" />
+              <span>${field.label}</span>
+            </label>`;
+    }
 
-        audio.onended = () => {
-            if (mapSettings.debugMode) {
-                console.log('[Map] Audio finished:', audioSrc);
-            }
-        };
+    if (field.type === 'text') {
+      return `
+            <label for="${id}">${field.label}</label>
+            <textarea id="${id}" class="text_pole" rows="3" data-map-setting="${key}"></textarea>`;
+    }
 
-        audio.onerror = (e) => {
-            const msg = `Map audio file error: ${audioSrc}`;
-            console.error('[Map] Audio error:', msg, e);
-            if (typeof toastr !== 'undefined') {
-                toastr.error(msg);
-            }
-        };
+    if (field.type === 'select') {
+      return `
+            <div class="flex-container flexnowrap alignItemsCenter">
+              <label for="${id}" class="flex1">${field.label}</label>
+              <select id="${id}" class="text_pole" style="max-width: 50%;" data-map-setting="${key}">
+                ${field.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+              </select>
+            </div>`;
+    }
 
-        if (mapSettings.debugMode) {
-            console.log('[Map] Playing audio:', audioSrc);
-        }
+    const range = field.type === 'number' ? ` min="${field.min}" max="${field.max}" step="${field.step}"` : '';
+    return `
+            <div class="flex-container flexnowrap alignItemsCenter">
+              <label for="${id}" class="flex1">${field.label}</label>
+              <input id="${id}" type="${field.type === 'number' ? 'number' : 'text'}" class="text_pole" style="max-width: 50%;"${range} data-map-setting="${key}" />
+            </div>`;
+  }).join('');
+}
 
-        const playPromise = audio.play();
-        if (playPromise && typeof playPromise.then === 'function') {
-            playPromise.catch(err => {
-                console.error('[Map] Error starting playback:', err);
-                if (typeof toastr !== 'undefined') {
-                    toastr.error('Could not start map sound playback');
-                }
-            });
-        }
+/**
+* Shows current setting value in its drawer control
+* @param {string} key - mapSettings key
+*/
+function updateMapSettingControl(key) {
+  const $control = $(`#map_setting_${key}`);
+  if ($control.length === 0) return;
+
+  if (MAP_SETTING_FIELDS[key].type === 'boolean') {
+    $control.prop('checked', Boolean(mapSettings[key]));
+  } else {
+    $control.val(String(mapSettings[key]));
+  }
+}
+
+/**
+* Fills drawer controls and saves their changes
+*/
+function setupMapSettingControls() {
+  Object.keys(MAP_SETTING_FIELDS).forEach(updateMapSettingControl);
+
+  $('[data-map-setting]').on('change', function () {
+    const key = this.dataset.mapSetting;
+    const value = this.type === 'checkbox' ? this.checked : this.value;
+
+    try {
+      setMapSetting(key, value);
     } catch (error) {
-        console.error('[Map] Ошибка в playMapSound:', error);
-        if (typeof toastr !== 'undefined') {
-            toastr.error(`Audio error: ${error.message}`);
-        }
+      if (typeof toastr !== 'undefined') toastr.warning(error.message);
+      updateMapSettingControl(key);
     }
+  });
 }
 
-// ===== 🖼 IMAGE IN MAP WINDOW =====
-let mapImageElement = null;
-let mapImageCloseButton = null;
-
 /**
-* Returns or creates img element inside map window
+* Resolves a path relative to the extension folder to URL.
+* Files imported from the UI are looked up first, so "maps/My town.json" or
+* "sounds/rain.mp3" work the same whether the file is bundled or imported.
+* Imports never shadow a bundled file with different content (see findBundledCopies)
+* @param {string} relativePath - Path relative to extension folder (already validated)
+* @returns {string} URL
 */
-function getOrCreateMapImageElement() {
-    const container = document.querySelector('#map .dragContent') || document.getElementById('map');
-    if (!container) return null;
+function resolveExtensionUrl(relativePath) {
+  const imported = getStoredSettings().importedAssets[relativePath];
+  if (imported) {
+    return imported;
+  }
+  return `${extensionFolderPath}/${relativePath}`;
+}
 
-    // Already exists in correct container
-    if (mapImageElement && container.contains(mapImageElement)) {
-        // Ensure button is also in container
-        if (mapImageCloseButton && !container.contains(mapImageCloseButton)) {
-            container.appendChild(mapImageCloseButton);
-        }
-        return mapImageElement;
-    }
+// ===== 📥 MAP IMPORT =====
+const IMPORT_FILE_PREFIX = 'imap_';
 
-    const img = document.createElement('img');
-    img.id = 'mapImageViewer';
-    img.alt = '';
-    img.style.position = 'absolute';
-    img.style.top = '0';
-    img.style.left = '0';
-    img.style.width = '100%';
-    img.style.height = '100%';
-    img.style.objectFit = 'contain';
-    img.style.borderRadius = '8px';
-    img.style.background = 'rgba(0,0,0,.1)';
-    img.style.zIndex = '9'; // below video (video 10), above SVG
-    img.style.display = 'none';
-    container.appendChild(img);
-    mapImageElement = img;
+const IMPORT_MEDIA_FOLDERS = [
+  { folder: 'sounds', pattern: /\.(mp3|ogg|wav|m4a)$/i },
+  { folder: 'images', pattern: /\.(a?png|jpe?g|webp|gif|svg)$/i },
+  { folder: 'movies', pattern: /\.(mp4|webm|m4v)$/i },
+];
 
-    // Close button (one for entire image)
-    if (!mapImageCloseButton) {
-        const btn = document.createElement('button');
-        btn.id = 'mapImageClose';
-        btn.textContent = 'Close';
-        btn.style.position = 'absolute';
-        btn.style.top = '48px';
-        btn.style.right = '12px';
-        btn.style.zIndex = '11';
-        btn.style.padding = '6px 14px';
-        btn.style.fontSize = '14px';
-        btn.style.border = 'none';
-        btn.style.borderRadius = '6px';
-        btn.style.cursor = 'pointer';
-        btn.style.background = 'rgba(0, 0, 0, 0.7)';
-        btn.style.color = '#fff';
-        btn.style.boxShadow = '0 2px 4px rgba(0,0,0,0.4)';
-        btn.addEventListener('click', () => {
-            stopCurrentMapImage();
-        });
-        mapImageCloseButton = btn;
-    }
+/**
+* Uploads file to user storage (data/<user>/user/files)
+* @param {string} name - Target file name
+* @param {string} base64 - File contents without data URL prefix
+* @returns {Promise<string>} URL of the stored file
+*/
+async function uploadUserFile(name, base64) {
+  const safeName = `${IMPORT_FILE_PREFIX}${name}`.replace(/[^A-Za-z0-9_.-]/g, '_');
 
-    container.appendChild(mapImageCloseButton);
-    mapImageCloseButton.style.display = 'none';
+  const response = await fetch('/api/files/upload', {
+    method: 'POST',
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ name: safeName, data: base64 }),
+  });
 
-    return img;
+  if (!response.ok) {
+    throw new Error(`Upload of ${name} failed: HTTP ${response.status}`);
+  }
+
+  const { path } = await response.json();
+  return path.startsWith('/') ? path : `/${path}`;
 }
 
 /**
-* Hides current image
+* Imported files are looked up before bundled ones, so a different file under a bundled path
+* would silently replace it for every map, trusted ones included. An exact copy of a bundled
+* file is harmless: it is not uploaded and the bundled file is used
+* @param {{path: string, base64: string}[]} files - Files to import and the paths they are registered under
+* @returns {Promise<Set<string>>} Paths of files identical to the bundled ones, to skip
+* @throws {Error} If a file differs from the bundled file at its path
 */
-function stopCurrentMapImage() {
-    try {
-        // Hide image if it exists in DOM
-        if (mapImageElement && document.body && document.body.contains(mapImageElement)) {
-            mapImageElement.removeAttribute('src');
-            mapImageElement.style.display = 'none';
-        }
+async function findBundledCopies(files) {
+  const copies = new Set();
 
-        // Hide Close button if it exists in DOM
-        if (mapImageCloseButton && document.body && document.body.contains(mapImageCloseButton)) {
-            mapImageCloseButton.style.display = 'none';
-        }
-    } catch (e) {
-        console.error('[Map]  Error stopping image:', e);
+  for (const { path, base64 } of files) {
+    const bundled = await fetchExtensionFile(path, { bundled: true });
+    if (!bundled) continue;
+
+    if (bundled.base64 !== base64) {
+      throw new Error(`"${path}" differs from the file of that name bundled with the extension, rename it before importing`);
     }
+    copies.add(path);
+  }
+
+  return copies;
 }
 
 /**
-* Shows image from extension images folder
-* Supports: .png, .jpg, .jpeg, .webp, .gif
-* @param {string} imageName
-* @param {{sizePct?: number}} opts
+* Reads File as base64 without the data URL prefix
+* @param {File} file
+* @returns {Promise<string>}
 */
-async function showMapImage(imageName, opts = {}) {
-    try {
-        if (!imageName) return;
-
-        let relativePath = imageName.trim();
-        if (!relativePath.toLowerCase().startsWith('images/')) {
-            relativePath = `images/${relativePath}`;
-        }
-
-        const lower = relativePath.toLowerCase();
-        const hasExt =
-            lower.endsWith('.png') ||
-            lower.endsWith('.jpg') ||
-            lower.endsWith('.jpeg') ||
-            lower.endsWith('.webp') ||
-            lower.endsWith('.gif');
-
-        if (!hasExt) {
-            // default to .png
-            relativePath += '.png';
-        }
-
-        // Path security check
-        validateAssetPath(relativePath);
+async function readFileAsBase64(file) {
+  const dataUrl = await getBase64Async(file);
+  return String(dataUrl).split(',')[1] || '';
+}
 
-        const imgSrc = `${extensionFolderPath}/${relativePath}`;
-        const img = getOrCreateMapImageElement();
-        if (!img) {
-            if (typeof toastr !== 'undefined') {
-                toastr.warning('Map window not open');
-            }
-            return;
-        }
+/**
+* Imports map JSON with its background image and optional media into user storage.
+* Media files are registered as sounds/, images/ or movies/ by extension,
+* so zone scripts refer to them exactly like to bundled files
+* @param {File[]} files - Map JSON, background image and optional sounds/images/movies
+* @returns {Promise<string>} Path of the imported map
+* @throws {Error} If files are missing or map is invalid
+*/
+async function importMapFiles(files) {
+  const jsonFiles = files.filter(file => file.name.toLowerCase().endsWith('.json'));
+  if (jsonFiles.length !== 1) {
+    throw new Error('Select exactly one map JSON file');
+  }
 
-        // Hide/clear previous image and button
-        stopCurrentMapImage();
+  const jsonFile = jsonFiles[0];
+  let mapData;
+  try {
+    mapData = JSON.parse(await jsonFile.text());
+  } catch (parseError) {
+    throw new Error(`JSON parse error: ${parseError.message}`);
+  }
 
-        img.style.display = 'block';
-        img.src = imgSrc;
+  await loadMapSchema();
+  const validation = validateMapData(mapData);
+  if (!validation.valid) {
+    throw new Error(`Validation error: ${validation.errors.join('; ')}`);
+  }
 
-        // Resize to match SVG, use same function as video
-        if (typeof resizeVideoToSvg === 'function') {
-            resizeVideoToSvg(img);
-        }
+  // Layered maps have a background per floor
+  const backgroundPaths = getMapBackgroundFiles(mapData);
+  backgroundPaths.forEach(validateAssetPath);
 
-        // Optional size in percentage of SVG/container
-        if (opts.sizePct && Number.isFinite(+opts.sizePct)) {
-            const pct = Math.max(10, Math.min(100, +opts.sizePct));
-            img.style.width = (img.offsetWidth * pct / 100) + 'px';
-            img.style.height = (img.offsetHeight * pct / 100) + 'px';
-        }
+  const mediaFiles = files.filter(file => file !== jsonFile);
+  const images = mediaFiles.filter(file => /\.(png|jpe?g|webp|gif)$/i.test(file.name));
+  const stored = getStoredSettings();
 
-        if (mapImageCloseButton && img.parentElement && img.parentElement.contains(mapImageCloseButton)) {
-            mapImageCloseButton.style.display = 'block';
-        }
+  /** @type {Map<File, string>} selected image → background path it is uploaded as */
+  const backgroundFiles = new Map();
+  for (const backgroundPath of backgroundPaths) {
+    const backgroundName = backgroundPath.split('/').pop().toLowerCase();
+    const backgroundFile = images.find(file => file.name.toLowerCase() === backgroundName)
+      || (images.length === 1 && backgroundPaths.length === 1 ? images[0] : null);
 
-        img.onerror = (e) => {
-            console.error('[Map] Error loading image for map window:', imgSrc, e);
-            if (typeof toastr !== 'undefined') {
-                toastr.error('Error loading image for map window');
-            }
-        };
-    } catch (error) {
-        console.error('[Map] Error in showMapImage:', error);
-        if (typeof toastr !== 'undefined') {
-            toastr.error(`Image error: ${error.message}`);
-        }
+    const backgroundKnown = stored.importedAssets[backgroundPath] || backgroundPath.startsWith('scripts/');
+    if (!backgroundFile && !backgroundKnown) {
+      throw new Error(`Background image "${backgroundPath}" not selected`);
     }
-}
+    if (backgroundFile) backgroundFiles.set(backgroundFile, backgroundPath);
+  }
 
-// ===== 🎬 VIDEO IN MAP WINDOW =====
-let mapVideoElement = null;
-let mapVideoCloseButton = null;
+  /** @type {Map<File, string>} file → relative path it is registered under */
+  const uploads = new Map();
 
-/**
-* Returns or creates video element inside map window, sized to SVG
-*/
-function getOrCreateMapVideoElement() {
-    const container = document.querySelector('#map .dragContent') || document.getElementById('map');
-    if (!container) return null;
+  for (const file of mediaFiles) {
+    let relativePath;
 
-    // Already exists in correct container
-    if (mapVideoElement && container.contains(mapVideoElement)) {
-        resizeVideoToSvg(mapVideoElement);
-        if (mapVideoCloseButton && !container.contains(mapVideoCloseButton)) {
-            container.appendChild(mapVideoCloseButton);
-        }
-        return mapVideoElement;
+    if (backgroundFiles.has(file)) {
+      relativePath = backgroundFiles.get(file);
+    } else {
+      const media = IMPORT_MEDIA_FOLDERS.find(({ pattern }) => pattern.test(file.name));
+      if (!media) {
+        console.warn('[Map] Import: unsupported file skipped:', file.name);
+        continue;
+      }
+      relativePath = `${media.folder}/${file.name}`;
     }
 
-    // Create video
-    const video = document.createElement('video');
-    video.id = 'mapVideoPlayer';
-    video.controls = true;
-    video.playsInline = true;
-
-    video.style.position = 'absolute';
-    video.style.top = '0';
-    video.style.left = '0';
-    video.style.width = '100%';
-    video.style.height = '100%';
-    video.style.borderRadius = '8px';
-    video.style.background = 'rgba(0,0,0,.3)';
-    video.style.objectFit = 'contain';
-    video.style.zIndex = '10';
-
-    container.appendChild(video);
-    mapVideoElement = video;
-
-    // Close button (one for entire video)
-    if (!mapVideoCloseButton) {
-        const btn = document.createElement('button');
-        btn.id = 'mapVideoClose';
-        btn.textContent = 'Close';
+    validateAssetPath(relativePath);
+    uploads.set(file, relativePath);
+  }
 
-        btn.style.position = 'absolute';
-        btn.style.top = '48px';          // Button position in player window
-        btn.style.right = '12px';
-        btn.style.zIndex = '11';
+  const mapPath = `maps/${jsonFile.name}`;
+  validateAssetPath(mapPath);
+  uploads.set(jsonFile, mapPath);
 
-        btn.style.padding = '6px 14px';  // Button size
-        btn.style.fontSize = '14px';     // Font size
+  const contents = [];
+  for (const [file, path] of uploads) {
+    contents.push({ path, base64: await readFileAsBase64(file) });
+  }
+  const copies = await findBundledCopies(contents);
 
-        btn.style.border = 'none';
-        btn.style.borderRadius = '6px';
-        btn.style.cursor = 'pointer';
-        btn.style.background = 'rgba(0, 0, 0, 0.7)';
-        btn.style.color = '#fff';
-        btn.style.boxShadow = '0 2px 4px rgba(0,0,0,0.4)';
+  /** @type {Object<string, string>} relative path → uploaded URL */
+  const assets = {};
+  for (const { path, base64 } of contents.filter(({ path }) => !copies.has(path))) {
+    assets[path] = await uploadUserFile(path.replace(/\//g, '_'), base64);
+  }
 
-        btn.addEventListener('click', () => {
-            stopCurrentMapVideo();
-        });
+  // A copy of a bundled map stays bundled (and trusted)
+  registerImportedFiles(assets, copies.has(mapPath) ? [] : [mapPath]);
 
-        mapVideoCloseButton = btn;
-    }
+  if (validation.warnings.length > 0) {
+    console.warn(`[Map] ${mapPath}: ${validation.warnings.length} validation warning(s)`, validation.warnings);
+  }
+  if (mapSettings.debugMode) {
+    console.log('[Map] Map imported:', mapPath, assets);
+  }
 
-    container.appendChild(mapVideoCloseButton);
-    return video;
+  return mapPath;
 }
 
 /**
-* Resizes video to match SVG container size
+* Remembers uploaded files and adds imported maps to the map list
+* @param {Object<string, string>} assets - relative path → uploaded URL
+* @param {string[]} mapPaths - Paths of imported map JSON files
 */
-function resizeVideoToSvg(video) {
-    if (!video) return;
-    const svgContainer = document.getElementById('svg-container');
-    if (!svgContainer) {
-        // Fallback: full container size
-        video.style.width = '100%';
-        video.style.height = '100%';
-        video.style.top = '0';
-        video.style.left = '0';
-        return;
+function registerImportedFiles(assets, mapPaths) {
+  const stored = getStoredSettings();
+  Object.assign(stored.importedAssets, assets);
+  for (const mapPath of mapPaths) {
+    if (!stored.importedMaps.includes(mapPath)) {
+      stored.importedMaps.push(mapPath);
     }
+    // New content must be trusted again
+    delete stored.mapTrust[mapPath];
+    // Drop stale version from cache
+    mapCache.delete(mapPath);
+  }
+  saveSettingsDebounced();
+}
 
-    const svgRect = svgContainer.getBoundingClientRect();
-    const containerRect = video.parentElement.getBoundingClientRect();
+/**
+* Removes imported map from the list. Its files stay in user storage,
+* since other imported maps may share them
+* @param {string} mapPath
+* @returns {boolean} false if map was not imported
+*/
+function removeImportedMap(mapPath) {
+  const stored = getStoredSettings();
+  const index = stored.importedMaps.indexOf(mapPath);
+  if (index === -1) return false;
+
+  stored.importedMaps.splice(index, 1);
+  delete stored.importedAssets[mapPath];
+  delete stored.mapTrust[mapPath];
+  saveSettingsDebounced();
+  mapCache.delete(mapPath);
+  return true;
+}
 
-    if (svgRect.width > 0 && svgRect.height > 0) {
-        video.style.width = svgRect.width + 'px';
-        video.style.height = svgRect.height + 'px';
-        video.style.top = (svgRect.top - containerRect.top) + 'px';
-        video.style.left = (svgRect.left - containerRect.left) + 'px';
-    }
+/**
+* Shows "Remove imported map" button only for imported maps and trust of the selected map
+*/
+function updateImportedMapControls() {
+  const mapPath = extensionState.currentLoadedMap;
+  const imported = getStoredSettings().importedMaps.includes(mapPath);
+  $('#map_remove_imported').css('display', imported ? 'flex' : 'none');
+  $('#map_trust_selected').prop('checked', Boolean(mapPath) && getMapTrust(mapPath) === 'trusted');
 }
 
 /**
-* Stops current video and clears src
+* Opens file picker and imports selected map files or map pack
 */
-function stopCurrentMapVideo() {
+function openMapImportDialog() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = '.json,image/*,audio/*,video/*';
+
+  input.addEventListener('change', async () => {
+    const files = Array.from(input.files || []);
+    if (files.length === 0) return;
+
     try {
-        if (mapVideoElement) {
-            // If video already removed from DOM, just reset reference
-            if (!document.body || !document.body.contains(mapVideoElement)) {
-                mapVideoElement = null;
-            } else {
-                mapVideoElement.pause();
-                mapVideoElement.removeAttribute('src');
-                mapVideoElement.load();
-                mapVideoElement.style.display = 'none';
-            }
-        }
+      if (typeof toastr !== 'undefined') toastr.info('Importing map...');
+      const pack = files.length === 1 ? await readMapPackFile(files[0]) : null;
+      const mapPath = pack ? await importMapPack(pack) : await importMapFiles(files);
 
-        if (mapVideoCloseButton && document.body && document.body.contains(mapVideoCloseButton)) {
-            mapVideoCloseButton.style.display = 'none';
-        }
-    } catch (e) {
-        console.error('[Map] Ошибка при остановке видео:', e);
+      await initializeMapSelection();
+      extensionState.currentLoadedMap = mapPath;
+      $(SELECTORS.MAP_SELECTIONS).val(mapPath);
+      updateImportedMapControls();
+
+      if (typeof toastr !== 'undefined') toastr.success(`Map "${getMapLabel(mapPath)}" imported`);
+    } catch (error) {
+      console.error('[Map] Import error:', error);
+      if (typeof toastr !== 'undefined') toastr.error(`Import error: ${error.message}`);
     }
+  });
+
+  input.click();
 }
 
+// ===== 📦 MAP PACKS =====
 /**
-* Plays video from extension movies folder
-* @param {string} movieName - file name or relative path within movies
-* @param {{muted?:boolean, loop?:boolean, autoplay?:boolean, sizePct?:number}} opts
+* A map pack is one JSON file holding a map, the maps it links to with /showmap
+* and every file they use, so a whole map hierarchy can be shared in one go:
+* {
+*   format: "interactive-map-pack", version: 1,
+*   manifest: { name, root, created, extensionVersion, maps: [...], files: [{ path, type, size }], bundled: [...], missing: [...] },
+*   files: { "maps/Magnolia Park.png": "<base64>", ... }
+* }
+* Files that ship with the extension (bundled maps, birdssound...) are not packed,
+* only listed in "bundled": every install has them
 */
-async function playMapVideo(movieName, opts = {}) {
-    try {
-        if (!movieName) return;
+const MAP_PACK_FORMAT = 'interactive-map-pack';
+const MAP_PACK_VERSION = 1;
+// Packs are parsed in memory as a whole, base64 makes them a third larger than their files
+const MAX_MAP_PACK_SIZE = 100 * 1024 * 1024;
+
+// Zone script commands whose argument names a map or a media file
+const PACK_SCRIPT_COMMANDS = {
+  showmap: 'map',
+  showmap_sound: 'sound',
+  showmap_image: 'image',
+  showmap_video: 'movie',
+};
 
-        let relativePath = movieName.trim();
-        if (!relativePath.toLowerCase().startsWith('movies/')) {
-            relativePath = `movies/${relativePath}`;
-        }
+/**
+* Finds maps and media files referenced by a zone script
+* @param {string} script - STScript of a zone
+* @returns {{kind: 'map'|'sound'|'image'|'movie', name: string}[]}
+*/
+function getScriptReferences(script) {
+  const references = [];
+  if (typeof script !== 'string') return references;
+
+  const commandPattern = /\/(showmap(?:_sound|_image|_video)?)(?=\s|\||$)([^|]*)/gi;
+  for (const [, command, rawArgs] of script.matchAll(commandPattern)) {
+    const kind = PACK_SCRIPT_COMMANDS[command.toLowerCase()];
+    let name = rawArgs.trim();
+
+    if (kind === 'sound') {
+      // sound=... overrides the base name, as in /showmap_sound
+      const mSound = name.match(/sound=(?:"([^"]+)"|'([^']+)'|(\S+))/i);
+      if (mSound) name = mSound[1] || mSound[2] || mSound[3];
+    }
+    if (kind !== 'map') {
+      name = name.replace(/\b\w+=\S+/g, '').trim();
+    }
+    name = name.replace(/^(["'])(.*)\1$/, '$2').trim();
 
-        const lower = relativePath.toLowerCase();
-        const hasExt =
-            lower.endsWith('.mp4') ||
-            lower.endsWith('.webm') ||
-            lower.endsWith('.ogg') ||
-            lower.endsWith('.m4v');
+    // Names built from macros/variables are only known at runtime
+    if (!name || name.includes('{{')) {
+      if (name && mapSettings.debugMode) console.log('[Map] Pack: dynamic reference skipped:', command, name);
+      continue;
+    }
 
-        if (!hasExt) {
-            relativePath += '.mp4';
-        }
+    references.push({ kind, name });
+  }
 
-        validateAssetPath(relativePath);
-        const videoSrc = `${extensionFolderPath}/${relativePath}`;
+  return references;
+}
 
-        const video = getOrCreateMapVideoElement();
-        if (!video) {
-            if (typeof toastr !== 'undefined') {
-                toastr.warning('Map window not open');
-            }
-            return;
-        }
+/**
+* Lists files a map needs and maps it links to
+* @param {Object} mapData - Validated map data
+* @returns {{files: string[], maps: string[]}} Paths relative to extension folder
+*/
+function getMapReferences(mapData) {
+  const files = new Set(getMapBackgroundFiles(mapData));
+  const maps = new Set();
+
+  const variants = Array.isArray(mapData.variants) ? mapData.variants : [];
+  for (const spec of [mapData, ...variants].flatMap(item => [item.mapSound, item.mapAmbience])) {
+    const sound = normalizeSoundSpec(spec);
+    if (sound) files.add(getMediaRelativePath(sound.file, 'sound'));
+  }
 
-        // First correctly stop previous video
-        if (video.src) {
-            try {
-                video.pause();
-                video.removeAttribute('src');
-                video.load();
-            } catch (e) {
-                console.error('[Map] Error clearing previous video:', e);
-            }
-        }
+  for (const sprite of Array.isArray(mapData.sprites) ? mapData.sprites : []) {
+    try {
+      files.add(getSpriteMedia(sprite.file).relativePath);
+    } catch (error) {
+      console.warn(`[Map] Pack: sprite "${sprite.file}" skipped:`, error.message);
+    }
+  }
 
-        video.style.display = 'block';
-        if (mapVideoCloseButton) {
-            mapVideoCloseButton.style.display = 'block';
+  for (const shape of getAllMapShapes(mapData)) {
+    // Hover card thumbnails and label icons (Font Awesome icons are not files)
+    const images = [shape.thumbnail, /^fa[-\s]/.test(shape.icon || '') ? null : shape.icon];
+    for (const image of images.filter(Boolean)) {
+      try {
+        files.add(getMediaRelativePath(image, 'image'));
+      } catch (error) {
+        console.warn(`[Map] Pack: image "${image}" skipped:`, error.message);
+      }
+    }
+
+    const scripts = [shape.script, normalizeZoneCondition(shape.condition)?.script];
+    for (const { kind, name } of scripts.flatMap(getScriptReferences)) {
+      try {
+        if (kind === 'map') {
+          maps.add(resolveMapPath(name));
+        } else {
+          files.add(getMediaRelativePath(name, kind));
         }
+      } catch (error) {
+        console.warn(`[Map] Pack: reference "${name}" skipped:`, error.message);
+      }
+    }
+  }
 
-        video.src = videoSrc;
-        video.muted = !!opts.muted;
-        video.loop = !!opts.loop;
-        video.autoplay = opts.autoplay !== false;
+  return { files: [...files], maps: [...maps] };
+}
 
-        resizeVideoToSvg(video);
+/**
+* Downloads extension file (bundled or imported) as base64
+* @param {string} relativePath - Path relative to extension folder
+* @param {{bundled?: boolean}} [options] - bundled: ignore imported files, read the extension folder only
+* @returns {Promise<{base64: string, type: string, size: number}|null>} null if file is missing
+*/
+async function fetchExtensionFile(relativePath, { bundled = false } = {}) {
+  validateAssetPath(relativePath);
+  const url = bundled ? `${extensionFolderPath}/${relativePath}` : resolveExtensionUrl(relativePath);
 
-        if (opts.sizePct && Number.isFinite(+opts.sizePct)) {
-            const pct = Math.max(10, Math.min(100, +opts.sizePct));
-            video.style.width = (video.offsetWidth * pct / 100) + 'px';
-            video.style.height = (video.offsetHeight * pct / 100) + 'px';
-        }
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), mapSettings.fetchTimeout);
 
-        video.onended = () => {
-            if (mapSettings.debugMode) {
-                console.log('[Map] Video finished:', videoSrc);
-            }
-        };
+  try {
+    const response = await fetch(url, { cache: 'no-cache', signal: controller.signal });
+    if (!response.ok) return null;
 
-        const p = video.autoplay ? video.play() : null;
-        if (p && typeof p.then === 'function') {
-            p.catch(err => {
-                console.error('[Map] Video autoplay rejected by browser policies:', err);
-            });
-        }
+    const blob = await response.blob();
+    return { base64: await readFileAsBase64(blob), type: blob.type, size: blob.size };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Timeout loading file: ${relativePath}`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-        if (!window._mapVideoResizeListener) {
-            window._mapVideoResizeListener = () => resizeVideoToSvg(mapVideoElement);
-            window.addEventListener('resize', window._mapVideoResizeListener);
-        }
+/**
+* Whether the file ships with the extension. Imported files don't count, even under a bundled path
+* @param {string} relativePath - Path relative to extension folder
+* @returns {Promise<boolean>}
+*/
+async function isBundledFile(relativePath) {
+  if (getStoredSettings().importedAssets[relativePath]) return false;
+
+  const response = await fetch(`${extensionFolderPath}/${relativePath}`, {
+    method: 'HEAD',
+    cache: 'no-cache',
+    signal: AbortSignal.timeout(mapSettings.fetchTimeout),
+  }).catch(() => null);
+  return Boolean(response?.ok);
+}
+
+/**
+* Collects map, linked maps and all files they use into a map pack
+* @param {string} rootMapPath - Path of the map to export
+* @returns {Promise<Object>} Map pack
+* @throws {Error} If the root map can't be loaded
+*/
+async function buildMapPack(rootMapPath) {
+  validateAssetPath(rootMapPath);
+  await loadMapSchema();
+
+  const maps = [];
+  const filePaths = new Set();
+  const queue = [rootMapPath];
+
+  while (queue.length > 0) {
+    const mapPath = queue.shift();
+    if (maps.includes(mapPath)) continue;
+
+    let mapData;
+    try {
+      mapData = await loadMapData(mapPath);
     } catch (error) {
-        console.error('[Map] Error in playMapVideo:', error);
-        if (typeof toastr !== 'undefined') {
-            toastr.error(`Video error: ${error.message}`);
-        }
+      // A broken link must not stop the export of the root map
+      if (mapPath === rootMapPath) throw error;
+      console.warn(`[Map] Pack: linked map ${mapPath} skipped:`, error.message);
+      continue;
     }
-}
 
-function createInteractivePath(shape) {
-  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-  path.setAttribute('d', shape.path);
-  path.setAttribute('id', shape.id);
-  path.setAttribute('fill', 'transparent');
-  path.setAttribute('class', 'svg-path');
-  path.dataset.script = shape.script;
-  path.dataset.originalColor = shape.color;
-  
-  if (mapSettings.enableTooltips && shape.tooltip) {
-    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-    title.textContent = shape.tooltip;
-    path.appendChild(title);
-  }
+    maps.push(mapPath);
+    filePaths.add(mapPath);
 
-// Create bound functions once and save to dataset
-// This allows correct removal of handlers later
-  const boundMouseOver = (e) => handleMouseOver.call(path, e);
-  const boundMouseOut = (e) => handleMouseOut.call(path, e);
-  
-// Save function references for later removal
-  path._boundMouseOver = boundMouseOver;
-  path._boundMouseOut = boundMouseOut;
-  path._boundClick = handleClick;
+    const references = getMapReferences(mapData);
+    references.files.forEach(file => filePaths.add(file));
+    queue.push(...references.maps);
+  }
 
-  path.addEventListener('click', handleClick);
-  path.addEventListener('mouseover', boundMouseOver);
-  path.addEventListener('mouseout', boundMouseOut);
+  const files = {};
+  const manifestFiles = [];
+  const bundled = [];
+  const missing = [];
 
-  return path;
-}
+  for (const path of filePaths) {
+    if (await isBundledFile(path)) {
+      bundled.push(path);
+      continue;
+    }
 
-function handleMouseOver(event) {
-  // Support for 3-digit hex (e.g. #F00)
-  const hex = this.dataset.originalColor;
-  let R, G, B;
-  
-  if (hex.length === 4) {
-    R = parseInt(hex[1] + hex[1], 16);
-    G = parseInt(hex[2] + hex[2], 16);
-    B = parseInt(hex[3] + hex[3], 16);
-  } else {
-    R = parseInt(hex.substring(1, 3), 16);
-    G = parseInt(hex.substring(3, 5), 16);
-    B = parseInt(hex.substring(5, 7), 16);
+    const file = await fetchExtensionFile(path);
+    if (!file) {
+      missing.push(path);
+      continue;
+    }
+    files[path] = file.base64;
+    manifestFiles.push({ path, type: file.type, size: file.size });
   }
 
-  this.style.fill = `rgba(${R}, ${G}, ${B}, ${mapSettings.hoverOpacity})`;
-}
+  if (missing.length > 0) {
+    console.warn('[Map] Pack: files not found and not exported:', missing);
+  }
 
-function handleMouseOut(event) {
-  this.style.fill = 'transparent';
+  return {
+    format: MAP_PACK_FORMAT,
+    version: MAP_PACK_VERSION,
+    manifest: {
+      name: getMapLabel(rootMapPath),
+      root: rootMapPath,
+      created: new Date().toISOString(),
+      extensionVersion: EXTENSION_VERSION,
+      maps,
+      files: manifestFiles,
+      bundled,
+      missing,
+    },
+    files,
+  };
 }
 
-function handleClick(event) {
-  try {
-    executeSlashCommands(event.target.dataset.script);
-  } catch (error) {
-    console.error('[Map] Error executing script:', error);
-    if (typeof toastr !== 'undefined') toastr.error('Command error');
-  }
+/**
+* Exports map with linked maps and media as "<map name>.mappack.json" download
+* @param {string} mapPath - Path of the map to export
+* @returns {Promise<Object>} Manifest of the exported pack
+*/
+async function exportMapPack(mapPath) {
+  const pack = await buildMapPack(mapPath);
+
+  const blob = new Blob([JSON.stringify(pack)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${pack.manifest.name}.mappack.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  return pack.manifest;
 }
 
-// ===== MAP CLEANUP FUNCTION =====
 /**
-* Clears map and removes event handlers to prevent memory leaks
+* Checks map pack structure and every path in it
+* @param {Object} pack - Parsed map pack
+* @throws {Error} If pack is malformed or contains unsafe paths
 */
-function clearMap() {
-    const svgContainer = document.getElementById('svg-container');
-    if (svgContainer) {
-        const paths = svgContainer.querySelectorAll('.svg-path');
-        paths.forEach(path => {
-            if (path._boundClick) {
-                path.removeEventListener('click', path._boundClick);
-            }
-            if (path._boundMouseOver) {
-                path.removeEventListener('mouseover', path._boundMouseOver);
-            }
-            if (path._boundMouseOut) {
-                path.removeEventListener('mouseout', path._boundMouseOut);
-            }
-            delete path._boundClick;
-            delete path._boundMouseOver;
-            delete path._boundMouseOut;
-        });
+function validateMapPack(pack) {
+  if (!pack || typeof pack !== 'object' || pack.format !== MAP_PACK_FORMAT) {
+    throw new Error('Not a map pack');
+  }
+  if (pack.version !== MAP_PACK_VERSION) {
+    throw new Error(`Unsupported map pack version: ${pack.version}`);
+  }
 
-        svgContainer.innerHTML = '';
-    }
+  const { manifest, files } = pack;
+  if (!manifest || !Array.isArray(manifest.maps) || !Array.isArray(manifest.files) || !files || typeof files !== 'object') {
+    throw new Error('Map pack manifest is missing or malformed');
+  }
+  if (manifest.bundled !== undefined && !Array.isArray(manifest.bundled)) {
+    throw new Error('Map pack manifest is missing or malformed');
+  }
+  (manifest.bundled || []).forEach(validateAssetPath);
+  if (!manifest.maps.includes(manifest.root)) {
+    throw new Error('Map pack root map is not listed in manifest');
+  }
 
-    extensionState.isMapLoaded = false;
-    extensionState.currentMapElement = null;
+  for (const { path } of manifest.files) {
+    validateAssetPath(path);
+    if (typeof files[path] !== 'string') {
+      throw new Error(`Map pack file missing: ${path}`);
+    }
+    // Maps must go through validation and the sandbox, so no JSON may come in as a plain file
+    if (path.toLowerCase().endsWith('.json') && !manifest.maps.includes(path)) {
+      throw new Error(`Map pack file is not a listed map: ${path}`);
+    }
+  }
 
-    if (mapSettings.debugMode) {
-        console.log('[Map] Map cleared');
+  const listed = new Set(manifest.files.map(({ path }) => path));
+  const bundled = new Set(manifest.bundled || []);
+  for (const mapPath of manifest.maps) {
+    validateAssetPath(mapPath);
+    if (!mapPath.toLowerCase().endsWith('.json') || (!listed.has(mapPath) && !bundled.has(mapPath))) {
+      throw new Error(`Map pack map missing: ${mapPath}`);
     }
+  }
+  for (const path of Object.keys(files)) {
+    if (!listed.has(path)) {
+      throw new Error(`Map pack file not listed in manifest: ${path}`);
+    }
+  }
 }
 
 /**
-* Initializes SVG map with background and interactive zones
-* @param {Object} svgData - Object with backgroundImage and shapes
-* @throws {Error} If container not found or initialization error occurs
+* Imports map pack: validates it, uploads its files to user storage and registers its maps
+* @param {Object} pack - Parsed map pack
+* @returns {Promise<string>} Path of the root map
+* @throws {Error} If pack or any of its maps is invalid (nothing is imported then)
 */
-function getSvgContainer() {
-  return /** @type {SVGSVGElement | null} */ (
-    document.querySelector(SELECTORS.SVG_CONTAINER)
-  );
-}
+async function importMapPack(pack) {
+  validateMapPack(pack);
+  await loadMapSchema();
 
-function getMapSelect() {
-  return /** @type {HTMLSelectElement | null} */ (
-    document.querySelector(SELECTORS.MAP_SELECTIONS)
-  );
-}
+  const { manifest, files } = pack;
 
-// Example usage in initMap:
-function initMap(svgData) {
-  const svgElement = getSvgContainer();
-  if (!svgElement) {
-    console.error('[Map] SVG container not found');
-    if (typeof toastr !== 'undefined') toastr.error('Map container not found');
-    return;
+  // Bundled maps and files are expected on this install, the pack doesn't carry them
+  const packedMaps = manifest.maps.filter(mapPath => typeof files[mapPath] === 'string');
+  const absent = [];
+  for (const path of manifest.bundled || []) {
+    if (!(await isBundledFile(path))) absent.push(path);
+  }
+  if (absent.length > 0) {
+    console.warn('[Map] Pack: bundled files the pack relies on are not installed:', absent);
+    if (typeof toastr !== 'undefined') toastr.warning(`${absent.length} bundled file(s) used by the pack are missing, see console`);
   }
 
-  try {
-    // Clear previous map
-    clearMap();
-    
-    const imageElement = document.createElementNS('http://www.w3.org/2000/svg', 'image');
-    const imagePath = resolveAssetPath(svgData.backgroundImage.file);
-    
-    imageElement.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', imagePath);
-    imageElement.setAttribute('x', '0');
-    imageElement.setAttribute('y', '0');
-    imageElement.setAttribute('width', svgData.backgroundImage.width);
-    imageElement.setAttribute('height', svgData.backgroundImage.height);
-    imageElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-    
-    imageElement.addEventListener('error', () => {
-      console.error('[Map] Error loading image:', imagePath);
-      if (typeof toastr !== 'undefined') toastr.error('Error loading image');
-    });
-    
-    svgElement.appendChild(imageElement);
-    
-    const width = parseInt(svgData.backgroundImage.width);
-    const height = parseInt(svgData.backgroundImage.height);
-    if (!isNaN(width) && !isNaN(height) && width > 0 && height > 0) {
-      svgElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  // Check all maps before uploading anything
+  for (const mapPath of packedMaps) {
+    let mapData;
+    try {
+      const bytes = Uint8Array.from(atob(files[mapPath]), c => c.charCodeAt(0));
+      mapData = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (parseError) {
+      throw new Error(`${mapPath}: JSON parse error: ${parseError.message}`);
     }
-    
-    const fragment = document.createDocumentFragment();
-    svgData.shapes.forEach(shape => {
-      fragment.appendChild(createInteractivePath(shape));
-    });
-    svgElement.appendChild(fragment);
-    
-    extensionState.isMapLoaded = true;
-    extensionState.currentMapElement = svgElement;
-    if (mapSettings.debugMode) {
-      console.log(`[Map] Initialization complete. Zones: ${svgData.shapes.length}`);
+
+    const validation = validateMapData(mapData);
+    if (!validation.valid) {
+      throw new Error(`${mapPath}: Validation error: ${validation.errors.join('; ')}`);
     }
-  } catch (error) {
-    console.error('[Map] Initialization error:', error);
-    if (typeof toastr !== 'undefined') toastr.error('Map initialization error');
-    extensionState.isMapLoaded = false;
   }
+
+  const copies = await findBundledCopies(manifest.files.map(({ path }) => ({ path, base64: files[path] })));
+
+  /** @type {Object<string, string>} relative path → uploaded URL */
+  const assets = {};
+  for (const { path } of manifest.files.filter(({ path }) => !copies.has(path))) {
+    assets[path] = await uploadUserFile(path.replace(/\//g, '_'), files[path]);
+  }
+
+  // Bundled maps and copies of them stay bundled (and trusted)
+  registerImportedFiles(assets, packedMaps.filter(mapPath => !copies.has(mapPath)));
+
+  if (mapSettings.debugMode) {
+    console.log('[Map] Map pack imported:', manifest.root, assets);
+  }
+
+  return manifest.root;
 }
 
-/// ===== UI MANAGEMENT =====
 /**
-* Normalizes input parameter (event/array/string) to map name string
-* @param {*} input - Source value (event, array or string)
-* @returns {string|null} Normalized map name or null
+* Reads selected JSON file as map pack
+* @param {File} file
+* @returns {Promise<Object|null>} Parsed pack or null if file is a plain map
+* @throws {Error} If file is larger than MAX_MAP_PACK_SIZE
 */
-function normalizeMapInput(input) {
-    // Ignore click events
-    if (input && typeof input === 'object' && (input.type === 'click' || input.originalEvent)) {
-        return null;
-    }
-    
-    // Convert array to string
-    if (Array.isArray(input)) {
-        return input.join(' ').trim() || null;
-    }
-    
-    // Validate string
-    if (typeof input === 'string') {
-        return input.trim() || null;
-    }
-    
+async function readMapPackFile(file) {
+  if (!file.name.toLowerCase().endsWith('.json')) return null;
+  if (file.size > MAX_MAP_PACK_SIZE) {
+    throw new Error(`File is too large: ${Math.ceil(file.size / 1024 / 1024)} MB (at most ${MAX_MAP_PACK_SIZE / 1024 / 1024} MB)`);
+  }
+
+  try {
+    const data = JSON.parse(await file.text());
+    return data && data.format === MAP_PACK_FORMAT ? data : null;
+  } catch (parseError) {
     return null;
+  }
 }
 
+// ===== VISUALIZATION =====
 /**
-* Finds map in available list with partial match support
-* @param {string} searchTerm - Search query
-* @returns {string|null} Full map path or null
+* Media folders used by /showmap_sound, /showmap_image and /showmap_video
 */
-function findMapByName(searchTerm) {
-    if (!extensionState.availableMaps || extensionState.availableMaps.length === 0) {
-        return null;
-    }
-    
-    const search = searchTerm.toLowerCase();
-    
-    return extensionState.availableMaps.find(mapPath => {
-        const mapLower = mapPath.toLowerCase();
-        
-        // Exact match
-        if (mapLower === search) return true;
-        
-        // Match by filename without extension (maps/SillyTavern.json → SillyTavern)
-        if (mapLower.endsWith('/' + search + '.json')) return true;
-        if (mapLower === search + '.json') return true;
-        
-        /// Match by name with extension (maps/SillyTavern.json → SillyTavern.json)
-        if (mapLower.endsWith('/' + search)) return true;
-        if (mapLower === search) return true;
-        
-        return false;
-    }) || null;
-}
+const MEDIA_TYPES = {
+  sound: { folder: 'sounds', extensions: ['.mp3', '.ogg', '.wav', '.m4a', '.webm'], defaultExt: '.mp3' },
+  image: { folder: 'images', extensions: ['.png', '.apng', '.jpg', '.jpeg', '.webp', '.gif', '.svg'], defaultExt: '.png' },
+  movie: { folder: 'movies', extensions: ['.mp4', '.webm', '.ogg', '.m4v'], defaultExt: '.mp4' },
+};
 
 /**
-* Resolves map name: either finds in index or uses as direct path
-* @param {string} input - Map name or path
-* @returns {string} Full path to map file
+* Resolves media name to a safe path in its folder, e.g. "birdssound" → "sounds/birdssound.mp3"
+* @param {string} name - file name or relative path within the media folder
+* @param {'sound'|'image'|'movie'} type
+* @returns {string} Path relative to extension folder
+* @throws {Error} If path is unsafe
 */
-function resolveMapPath(input) {
-    if (!input) return null;
-    
-    const trimmed = input.trim();
-    
-    // Try to find in available maps
-    const found = findMapByName(trimmed);
-    if (found) {
-        if (mapSettings.debugMode) console.log('[Map]  Map found in index:', found);
-        return found;
-    }
-    
-    // Fallback: use input as direct path
-    let mapPath = trimmed;
-    if (!mapPath.toLowerCase().endsWith('.json')) {
-        mapPath += '.json';
-    }
-    
-    if (mapSettings.debugMode) {
-        console.warn('[Map] Map not found in index, using direct path:', mapPath);
-    }
-    
-    return mapPath;
-}
+function getMediaRelativePath(name, type) {
+  const { folder, extensions, defaultExt } = MEDIA_TYPES[type];
+  let relativePath = name.trim();
 
-async function showMap(input) {
-  try {
-    // Check for jQuery presence
-    if (typeof jQuery === 'undefined' || !$) {
-      throw new Error('jQuery not found');
-    }
-    
-    // Normalize input data
-    const normalizedInput = normalizeMapInput(input);
-    
-    // If map name explicitly provided, try to find/resolve it
-    let targetMap = normalizedInput
-      ? resolveMapPath(normalizedInput)
-      : extensionState.currentLoadedMap;
-    
-    if (!targetMap) {
-      if (typeof toastr !== 'undefined') toastr.warning('Map not selected');
-      return;
-    }
-    
-    // Load and initialize
-    makeMovable();
-    const svgData = await loadMapData(targetMap);
-    extensionState.currentLoadedMap = targetMap;
-    
-    if (svgData.mapSound) {
-      await playMapSound(svgData.mapSound);
-    }
-    
-    // Sync selector if it exists
-    const select = $('#mapSelections');
-    if (select.length > 0 && select.find(`option[value="${targetMap}"]`).length > 0) {
-      select.val(targetMap);
-    }
-    
-    initMap(svgData);
-    if (typeof toastr !== 'undefined') toastr.success(`Map "${targetMap}" loaded`);
-    
-  } catch (error) {
-    console.error('[Map] Error showing map:', error);
-    let errorMsg = error.message;
-    
-    if (errorMsg.includes('404')) {
-      errorMsg = `Map file not found (${error.message}). Check name and index.json`;
-    }
-    
-    if (typeof toastr !== 'undefined') toastr.error(`Error: ${errorMsg}`);
-    extensionState.lastError = error;
+  // Ensure path points to media folder
+  if (!relativePath.toLowerCase().startsWith(`${folder}/`)) {
+    relativePath = `${folder}/${relativePath}`;
+  }
+
+  // Add default extension if none
+  const lower = relativePath.toLowerCase();
+  if (!extensions.some(ext => lower.endsWith(ext))) {
+    relativePath += defaultExt;
   }
+
+  // Security check for relative path within extension
+  validateAssetPath(relativePath);
+
+  return relativePath;
 }
 
-function makeMovable(id = 'map') {
-  try {
-    if ($(`#${id}`).length > 0) {
-      $(`#${id}`).show();
-      return;
-    }
-    
-    const template = $('#generic_draggable_template').html();
-    if (!template) {
-      console.error('[Map] Template not found');
-      if (typeof toastr !== 'undefined') toastr.error('Error: window template not found');
-      return;
-    }
-    
-    const newElement = $(template);
-    newElement.css('background-color', 'var(--SmartThemeBlurTintColor)');
-    newElement.attr('forChar', id).attr('id', id);
-    newElement.find('.drag-grabber').attr('id', `${id}header`);
-    newElement.find('.dragTitle').text('Interactive Map');
-    
-    // Create SVG container 
-    newElement.append('<svg id="svg-container" style="width: 100%; height: 100%;"></svg>');
-    newElement.addClass('no-scrollbar');
-    
-    const closeButton = newElement.find('.dragClose');
-    closeButton.attr('id', `${id}close`).attr('data-related-id', id);
-    
-    $('#dragMap').css('display', 'block');
-    $('body').append(newElement);
-    
-    // Check for function before calling
-    if (typeof loadMovingUIState === 'function') {
-      loadMovingUIState();
-    }
-    
-    $(`.draggable[forChar="${id}"]`).css('display', 'block');
-    dragElement(newElement);
-    
-    $(`.draggable[forChar="${id}"] img`).on('dragstart', (e) => {
-      e.preventDefault();
-      return false;
-    });
-    
-    if (mapSettings.debugMode) console.log(`[Map] Window created: ${id}`);
-  } catch (error) {
-    console.error('[Map] Ошибка создания окна:', error);
-    if (typeof toastr !== 'undefined') toastr.error('Error creating map window');
+function resolveAssetPath(filePath) {
+  // Path safety check
+  validateAssetPath(filePath);
+  
+  if (filePath.startsWith('scripts/')) {
+    return filePath;
   }
+  return resolveExtensionUrl(filePath);
 }
 
-// ===== WINDOW CLOSE HANDLER =====
+// ===== 🔈 MAP AUDIO SUPPORT =====
 /**
-* Sets up map window close handler
-* Removes window and clears SVG state
+* Audio is played on separate channels:
+* - music: map soundtrack, one track at a time, crossfaded when it changes
+* - ambience: background loop (birds, rain...), one track at a time, crossfaded
+* - sfx: one-shot effects, any number can overlap
 */
-function setupCloseHandler() {
-    // Delegate only for close elements inside map container
-    $(document).on('click', '#map .dragClose', function (e) {
-        e.stopPropagation();
-
-        const relatedId = $(this).data('related-id') || 'map';
-        const $element = $(`#${relatedId}`);
+const AUDIO_CHANNELS = ['music', 'ambience', 'sfx'];
+const AUDIO_FADE_STEP_MS = 50;
 
-        if ($element.length === 0) {
-            console.warn(`[Map] Element #${relatedId} not found`);
-            return;
-        }
+const audioChannels = {
+  music: { current: null },
+  ambience: { current: null },
+  sfx: { active: new Set() },
+};
 
-        try {
-            clearMap();
-            stopCurrentMapAudio();
-            stopCurrentMapImage();
-            stopCurrentMapVideo?.();
+// Playback positions of tracks that were faded out, to resume them when returning to a map
+const audioTrackPositions = new Map();
 
-            $element.off().remove();
+/**
+* @typedef {Object} MapSoundSpec
+* @property {string} file - Sound name or path within sounds
+* @property {boolean} [loop]
+* @property {number} [volume] - Track volume 0-100
+*/
 
-            if (mapSettings.debugMode) {
-                console.log(`[Map] Window closed: ${relatedId}`);
-            }
-        } catch (error) {
-            console.error('[Map] Error closing window:', error);
-        }
-    });
+/**
+* Brings "mapSound"/"mapAmbience" (string or object) to one form
+* @param {string|MapSoundSpec} spec
+* @returns {MapSoundSpec|null}
+*/
+function normalizeSoundSpec(spec) {
+  if (typeof spec === 'string') {
+    return spec.trim() ? { file: spec } : null;
+  }
+  if (spec && typeof spec === 'object' && typeof spec.file === 'string' && spec.file.trim()) {
+    return spec;
+  }
+  return null;
 }
 
-/// Call once during extension initialization
-let closeHandlerInitialized = false;
+/**
+* Resolves sound name to a safe path in the sounds folder
+* @param {string} soundFileName - file name or relative path within sounds
+* @returns {string} URL of the sound file
+* @throws {Error} If path is unsafe
+*/
+function resolveSoundUrl(soundFileName) {
+  return resolveExtensionUrl(getMediaRelativePath(soundFileName, 'sound'));
+}
 
-// In jQuery(() => { ... }):
-if (!closeHandlerInitialized) {
-    setupCloseHandler();
-    closeHandlerInitialized = true;
+/**
+* Channel volume from settings (0-1)
+* @param {string} channel
+* @returns {number}
+*/
+function getChannelVolume(channel) {
+  const volume = Number(mapSettings[`${channel}Volume`]);
+  return Number.isFinite(volume) ? Math.max(0, Math.min(100, volume)) / 100 : 1;
 }
 
-// ===== HELPER FUNCTION FOR MAP NAME GENERATION =====
 /**
-* Converts map path to simple name without maps/ and .json
-* Examples:
-* 'Name.json' → 'Name'
-* 'maps/Name.json' → 'Name'
-* 'dungeons/city/Main.json' → 'Main'
-* @param {string} mapPath - Map path
-* @returns {string} Display label
+* Smoothly changes element volume
+* @param {HTMLAudioElement} audio
+* @param {number} to - Target volume 0-1
+* @param {number} duration - ms
+* @returns {Promise<void>}
 */
-function getMapLabel(mapPath) {
-  if (!mapPath) return 'Unknown';
-  
-  // Get filename only
-  let filename = mapPath.includes('/') 
-    ? mapPath.split('/').pop() 
-    : mapPath;
-  
-// Remove .json extension
-  if (filename.toLowerCase().endsWith('.json')) {
-    filename = filename.slice(0, -5);
+function fadeAudio(audio, to, duration) {
+  clearInterval(audio._mapFadeTimer);
+
+  if (!duration || duration <= 0) {
+    audio.volume = to;
+    return Promise.resolve();
   }
-  
-  return filename;
+
+  const from = audio.volume;
+  const steps = Math.max(1, Math.round(duration / AUDIO_FADE_STEP_MS));
+  let step = 0;
+
+  return new Promise(resolve => {
+    audio._mapFadeTimer = setInterval(() => {
+      step++;
+      audio.volume = Math.max(0, Math.min(1, from + (to - from) * step / steps));
+      if (step >= steps) {
+        clearInterval(audio._mapFadeTimer);
+        resolve();
+      }
+    }, AUDIO_FADE_STEP_MS);
+  });
 }
 
-// ===== MAP SELECTION INITIALIZATION =====
 /**
-* Initializes map selection dropdown
+* Fades track out, remembers its position and stops it
+* @param {HTMLAudioElement} audio
+* @param {number} duration - ms
 */
-async function initializeMapSelection() {
-    try {
-        const maps = await discoverAvailableMaps();
-        const $select = $('#mapSelections');
+async function fadeOutAndStop(audio, duration) {
+  if (!audio.ended) {
+    audioTrackPositions.set(audio._mapSrc, audio.currentTime);
+  }
 
-        if ($select.length === 0) {
-            console.warn('[Map] Map selection dropdown not found');
-            return;
-        }
+  await fadeAudio(audio, 0, duration);
 
-        $select.empty();
+  try {
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+  } catch (error) {
+    console.error('[Map] Error stopping audio:', error);
+  }
+}
 
-        // Nice names via getMapLabel
-        maps.forEach(map => {
-            const label = getMapLabel(map);
-            const $option = $('<option>')
-                .val(map)
-                .text(label);
-            $select.append($option);
-        });
+/**
+* Re-applies channel volume to playing tracks (after /map_volume or settings change)
+* @param {string} channel
+*/
+function applyChannelVolume(channel) {
+  const volume = getChannelVolume(channel);
+  const tracks = channel === 'sfx'
+    ? [...audioChannels.sfx.active]
+    : [audioChannels[channel]?.current].filter(Boolean);
 
-        if (maps.length > 0) {
-            extensionState.currentLoadedMap = maps[0];
-            $select.val(maps[0]);
-        }
+  tracks.forEach(audio => fadeAudio(audio, volume * (audio._mapTrackVolume ?? 1), 0));
+}
 
-        // Change handler
-        $select.off('change').on('change', function () {
-            extensionState.currentLoadedMap = $(this).val();
-            if (mapSettings.debugMode) {
-                console.log('[Map] Selected map:', extensionState.currentLoadedMap);
-            }
-        });
+/**
+* Sets channel volume in settings and applies it to playing tracks
+* @param {string} channel
+* @param {number} percent - 0-100
+*/
+function setChannelVolume(channel, percent) {
+  setMapSetting(`${channel}Volume`, Math.max(0, Math.min(100, Math.round(percent))));
+}
 
-        if (mapSettings.debugMode) {
-            console.log(`[Map] Selection initialization complete. Maps: ${maps.length}`);
-        }
+/**
+* Stops audio of one channel or all channels
+* @param {string} [channel] - music, ambience or sfx; all channels if omitted
+*/
+function stopCurrentMapAudio(channel) {
+  const channels = channel ? [channel] : AUDIO_CHANNELS;
+
+  channels.forEach(name => {
+    try {
+      if (name === 'sfx') {
+        audioChannels.sfx.active.forEach(audio => audio.pause());
+        audioChannels.sfx.active.clear();
+        return;
+      }
+
+      const current = audioChannels[name]?.current;
+      if (current) {
+        audioChannels[name].current = null;
+        fadeOutAndStop(current, mapSettings.crossfadeDuration / 2);
+      }
     } catch (error) {
-        console.error('[Map] Selection initialization error:', error);
-        if (typeof toastr !== 'undefined') {
-            toastr.error('Error initializing map selection');
-        }
+      console.error('[Map] Error stopping audio:', error);
     }
+  });
 }
 
-// ===== EXTENSION INITIALIZATION =====
-jQuery(async () => {
-  // Check for required dependencies
-  if (typeof jQuery === 'undefined') {
-    console.error('[Map] jQuery not found - extension cannot be initialized');
-    return;
+function reportAudioError(audioSrc, e) {
+  const msg = `Map audio file error: ${audioSrc}`;
+  console.error('[Map] Audio error:', msg, e);
+  if (typeof toastr !== 'undefined') {
+    toastr.error(msg);
   }
-  
-  if (!document.getElementById('extensionsMenu')) {
-    console.error('[Map] Extensions menu not found - extension cannot be initialized');
-    return;
+}
+
+function startAudioPlayback(audio) {
+  const playPromise = audio.play();
+  if (playPromise && typeof playPromise.then === 'function') {
+    playPromise.catch(err => {
+      console.error('[Map] Error starting playback:', err);
+      if (typeof toastr !== 'undefined') {
+        toastr.error('Could not start map sound playback');
+      }
+    });
   }
-  
-  console.log('[Map] Extension initialization...');
-  
-   try {
-    await initializeMapSelection();
-    
-    // Initialize closeHandler exactly once
-        if (!closeHandlerInitialized) {
-          setupCloseHandler();
-          closeHandlerInitialized = true;
+}
+
+/**
+* Plays audio file from extension sounds folder
+* @param {string} soundFileName - file name or relative path within sounds
+* @param {{channel?: string, loop?: boolean, volume?: number}} [opts] - volume: track volume 0-100;
+* plays once unless loop is set, as /showmap_sound always did (map soundtracks pass loop themselves)
+* @returns {Promise}
+*/
+async function playMapSound(soundFileName, opts = {}) {
+    try {
+        if (!soundFileName) return;
+
+        const channel = AUDIO_CHANNELS.includes(opts.channel) ? opts.channel : 'music';
+        const audioSrc = resolveSoundUrl(soundFileName);
+        const loop = opts.loop ?? false;
+        const trackVolume = Number.isFinite(Number(opts.volume))
+            ? Math.max(0, Math.min(100, Number(opts.volume))) / 100
+            : 1;
+        const targetVolume = getChannelVolume(channel) * trackVolume;
+
+        if (mapSettings.debugMode) {
+            console.log(`[Map] Playing audio on ${channel}:`, audioSrc);
         }
 
-// Button creation
-const button = $(`
-    <button id="map_start" type="button" class="list-group-item flex-container flexGap5 interactable" tabindex="0" role="listitem">
-        🌍 Last Selected Map
-    </button>
-`).css({
-    fontFamily: 'var(--mainFontFamily), sans-serif',
-    fontSize: 'var(--mainFontSize)',
-    color: '#000',
-});
+        if (channel === 'sfx') {
+            const audio = new Audio(audioSrc);
+            audio._mapSrc = audioSrc;
+            audio._mapTrackVolume = trackVolume;
+            audio.loop = loop;
+            audio.volume = targetVolume;
+            audio.onended = () => audioChannels.sfx.active.delete(audio);
+            audio.onerror = (e) => {
+                audioChannels.sfx.active.delete(audio);
+                reportAudioError(audioSrc, e);
+            };
+            audioChannels.sfx.active.add(audio);
+            startAudioPlayback(audio);
+            return;
+        }
+
+        const state = audioChannels[channel];
+        const previous = state.current;
+
+        // Same track already playing: keep playing, only apply new options
+        if (previous && previous._mapSrc === audioSrc && !previous.paused) {
+            previous.loop = loop;
+            previous._mapTrackVolume = trackVolume;
+            fadeAudio(previous, targetVolume, mapSettings.crossfadeDuration);
+            return;
+        }
+
+        if (previous) {
+            fadeOutAndStop(previous, mapSettings.crossfadeDuration);
+        }
+
+        const audio = new Audio(audioSrc);
+        audio._mapSrc = audioSrc;
+        audio._mapTrackVolume = trackVolume;
+        audio.loop = loop;
+        audio.preload = 'auto';
+        audio.volume = 0;
+        state.current = audio;
+
+        // Resume from where the track was left
+        const position = audioTrackPositions.get(audioSrc);
+        if (position) {
+            audio.addEventListener('loadedmetadata', () => {
+                if (position < audio.duration) audio.currentTime = position;
+            }, { once: true });
+        }
+
+        audio.onended = () => {
+            audioTrackPositions.delete(audioSrc);
+            if (mapSettings.debugMode) {
+                console.log('[Map] Audio finished:', audioSrc);
+            }
+        };
+        audio.onerror = (e) => reportAudioError(audioSrc, e);
+
+        startAudioPlayback(audio);
+        fadeAudio(audio, targetVolume, mapSettings.crossfadeDuration);
+    } catch (error) {
+        console.error('[Map] Ошибка в playMapSound:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error(`Audio error: ${error.message}`);
+        }
+    }
+}
+
+/**
+* Plays map soundtrack ("mapSound" on music channel, "mapAmbience" on ambience channel)
+* @param {Object} mapData
+*/
+async function playMapSoundtrack(mapData) {
+  const music = normalizeSoundSpec(mapData.mapSound);
+  const ambience = normalizeSoundSpec(mapData.mapAmbience);
+
+  if (music) {
+    await playMapSound(music.file, { channel: 'music', loop: music.loop ?? true, volume: music.volume });
+  }
+
+  if (ambience) {
+    await playMapSound(ambience.file, { channel: 'ambience', loop: ambience.loop ?? true, volume: ambience.volume });
+  } else if (music) {
+    // Ambience of the previous map does not belong here
+    stopCurrentMapAudio('ambience');
+  }
+}
+
+// ===== 🖼 IMAGE IN MAP WINDOW =====
+let mapImageElement = null;
+let mapImageCloseButton = null;
+
+/**
+* Returns or creates img element inside map window
+*/
+function getOrCreateMapImageElement() {
+    const container = document.querySelector('#map .dragContent') || document.getElementById('map');
+    if (!container) return null;
+
+    // Already exists in correct container
+    if (mapImageElement && container.contains(mapImageElement)) {
+        // Ensure button is also in container
+        if (mapImageCloseButton && !container.contains(mapImageCloseButton)) {
+            container.appendChild(mapImageCloseButton);
+        }
+        return mapImageElement;
+    }
+
+    const img = document.createElement('img');
+    img.id = 'mapImageViewer';
+    img.alt = '';
+    img.style.position = 'absolute';
+    img.style.top = '0';
+    img.style.left = '0';
+    img.style.width = '100%';
+    img.style.height = '100%';
+    img.style.objectFit = 'contain';
+    img.style.borderRadius = '8px';
+    img.style.background = 'rgba(0,0,0,.1)';
+    img.style.zIndex = '9'; // below video (video 10), above SVG
+    img.style.display = 'none';
+    container.appendChild(img);
+    mapImageElement = img;
+
+    // Close button (one for entire image)
+    if (!mapImageCloseButton) {
+        const btn = document.createElement('button');
+        btn.id = 'mapImageClose';
+        btn.textContent = 'Close';
+        btn.style.position = 'absolute';
+        btn.style.top = '48px';
+        btn.style.right = '12px';
+        btn.style.zIndex = '11';
+        btn.style.padding = '6px 14px';
+        btn.style.fontSize = '14px';
+        btn.style.border = 'none';
+        btn.style.borderRadius = '6px';
+        btn.style.cursor = 'pointer';
+        btn.style.background = 'rgba(0, 0, 0, 0.7)';
+        btn.style.color = '#fff';
+        btn.style.boxShadow = '0 2px 4px rgba(0,0,0,0.4)';
+        btn.addEventListener('click', () => {
+            stopCurrentMapImage();
+        });
+        mapImageCloseButton = btn;
+    }
+
+    container.appendChild(mapImageCloseButton);
+    mapImageCloseButton.style.display = 'none';
+
+    return img;
+}
+
+/**
+* Hides current image
+*/
+function stopCurrentMapImage() {
+    try {
+        // Hide image if it exists in DOM
+        if (mapImageElement && document.body && document.body.contains(mapImageElement)) {
+            mapImageElement.removeAttribute('src');
+            mapImageElement.style.display = 'none';
+        }
+
+        // Hide Close button if it exists in DOM
+        if (mapImageCloseButton && document.body && document.body.contains(mapImageCloseButton)) {
+            mapImageCloseButton.style.display = 'none';
+        }
+    } catch (e) {
+        console.error('[Map]  Error stopping image:', e);
+    }
+}
+
+/**
+* Shows image from extension images folder
+* Supports: .png, .jpg, .jpeg, .webp, .gif
+* @param {string} imageName
+* @param {{sizePct?: number}} opts
+*/
+async function showMapImage(imageName, opts = {}) {
+    try {
+        if (!imageName) return;
+
+        // Path points to images folder, .png by default, security check included
+        const relativePath = getMediaRelativePath(imageName, 'image');
+        const imgSrc = resolveExtensionUrl(relativePath);
+        const img = getOrCreateMapImageElement();
+        if (!img) {
+            if (typeof toastr !== 'undefined') {
+                toastr.warning('Map window not open');
+            }
+            return;
+        }
+
+        // Hide/clear previous image and button
+        stopCurrentMapImage();
+
+        img.style.display = 'block';
+        img.src = imgSrc;
+
+        // Resize to match SVG, use same function as video
+        if (typeof resizeVideoToSvg === 'function') {
+            resizeVideoToSvg(img);
+        }
+
+        // Optional size in percentage of SVG/container
+        if (opts.sizePct && Number.isFinite(+opts.sizePct)) {
+            const pct = Math.max(10, Math.min(100, +opts.sizePct));
+            img.style.width = (img.offsetWidth * pct / 100) + 'px';
+            img.style.height = (img.offsetHeight * pct / 100) + 'px';
+        }
+
+        if (mapImageCloseButton && img.parentElement && img.parentElement.contains(mapImageCloseButton)) {
+            mapImageCloseButton.style.display = 'block';
+        }
+
+        img.onerror = (e) => {
+            console.error('[Map] Error loading image for map window:', imgSrc, e);
+            if (typeof toastr !== 'undefined') {
+                toastr.error('Error loading image for map window');
+            }
+        };
+    } catch (error) {
+        console.error('[Map] Error in showMapImage:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error(`Image error: ${error.message}`);
+        }
+    }
+}
+
+// ===== 🎬 VIDEO IN MAP WINDOW =====
+let mapVideoElement = null;
+let mapVideoCloseButton = null;
+
+/**
+* Returns or creates video element inside map window, sized to SVG
+*/
+function getOrCreateMapVideoElement() {
+    const container = document.querySelector('#map .dragContent') || document.getElementById('map');
+    if (!container) return null;
+
+    // Already exists in correct container
+    if (mapVideoElement && container.contains(mapVideoElement)) {
+        resizeVideoToSvg(mapVideoElement);
+        if (mapVideoCloseButton && !container.contains(mapVideoCloseButton)) {
+            container.appendChild(mapVideoCloseButton);
+        }
+        return mapVideoElement;
+    }
+
+    // Create video
+    const video = document.createElement('video');
+    video.id = 'mapVideoPlayer';
+    video.controls = true;
+    video.playsInline = true;
+
+    video.style.position = 'absolute';
+    video.style.top = '0';
+    video.style.left = '0';
+    video.style.width = '100%';
+    video.style.height = '100%';
+    video.style.borderRadius = '8px';
+    video.style.background = 'rgba(0,0,0,.3)';
+    video.style.objectFit = 'contain';
+    video.style.zIndex = '10';
+
+    container.appendChild(video);
+    mapVideoElement = video;
+
+    // Close button (one for entire video)
+    if (!mapVideoCloseButton) {
+        const btn = document.createElement('button');
+        btn.id = 'mapVideoClose';
+        btn.textContent = 'Close';
+
+        btn.style.position = 'absolute';
+        btn.style.top = '48px';          // Button position in player window
+        btn.style.right = '12px';
+        btn.style.zIndex = '11';
+
+        btn.style.padding = '6px 14px';  // Button size
+        btn.style.fontSize = '14px';     // Font size
+
+        btn.style.border = 'none';
+        btn.style.borderRadius = '6px';
+        btn.style.cursor = 'pointer';
+        btn.style.background = 'rgba(0, 0, 0, 0.7)';
+        btn.style.color = '#fff';
+        btn.style.boxShadow = '0 2px 4px rgba(0,0,0,0.4)';
+
+        btn.addEventListener('click', () => {
+            stopCurrentMapVideo();
+        });
+
+        mapVideoCloseButton = btn;
+    }
+
+    container.appendChild(mapVideoCloseButton);
+    return video;
+}
+
+/**
+* Resizes video to match SVG container size
+*/
+function resizeVideoToSvg(video) {
+    if (!video) return;
+    const svgContainer = document.getElementById('svg-container');
+    if (!svgContainer) {
+        // Fallback: full container size
+        video.style.width = '100%';
+        video.style.height = '100%';
+        video.style.top = '0';
+        video.style.left = '0';
+        return;
+    }
+
+    const svgRect = svgContainer.getBoundingClientRect();
+    const containerRect = video.parentElement.getBoundingClientRect();
+
+    if (svgRect.width > 0 && svgRect.height > 0) {
+        video.style.width = svgRect.width + 'px';
+        video.style.height = svgRect.height + 'px';
+        video.style.top = (svgRect.top - containerRect.top) + 'px';
+        video.style.left = (svgRect.left - containerRect.left) + 'px';
+    }
+}
+
+/**
+* Stops current video and clears src
+*/
+function stopCurrentMapVideo() {
+    try {
+        if (mapVideoElement) {
+            // If video already removed from DOM, just reset reference
+            if (!document.body || !document.body.contains(mapVideoElement)) {
+                mapVideoElement = null;
+            } else {
+                mapVideoElement.pause();
+                mapVideoElement.removeAttribute('src');
+                mapVideoElement.load();
+                mapVideoElement.style.display = 'none';
+            }
+        }
+
+        if (mapVideoCloseButton && document.body && document.body.contains(mapVideoCloseButton)) {
+            mapVideoCloseButton.style.display = 'none';
+        }
+    } catch (e) {
+        console.error('[Map] Ошибка при остановке видео:', e);
+    }
+}
+
+/**
+* Plays video from extension movies folder
+* @param {string} movieName - file name or relative path within movies
+* @param {{muted?:boolean, loop?:boolean, autoplay?:boolean, sizePct?:number}} opts
+*/
+async function playMapVideo(movieName, opts = {}) {
+    try {
+        if (!movieName) return;
+
+        const relativePath = getMediaRelativePath(movieName, 'movie');
+        const videoSrc = resolveExtensionUrl(relativePath);
+
+        const video = getOrCreateMapVideoElement();
+        if (!video) {
+            if (typeof toastr !== 'undefined') {
+                toastr.warning('Map window not open');
+            }
+            return;
+        }
+
+        // First correctly stop previous video
+        if (video.src) {
+            try {
+                video.pause();
+                video.removeAttribute('src');
+                video.load();
+            } catch (e) {
+                console.error('[Map] Error clearing previous video:', e);
+            }
+        }
+
+        video.style.display = 'block';
+        if (mapVideoCloseButton) {
+            mapVideoCloseButton.style.display = 'block';
+        }
+
+        video.src = videoSrc;
+        video.muted = !!opts.muted;
+        video.loop = !!opts.loop;
+        video.autoplay = opts.autoplay !== false;
+
+        resizeVideoToSvg(video);
+
+        if (opts.sizePct && Number.isFinite(+opts.sizePct)) {
+            const pct = Math.max(10, Math.min(100, +opts.sizePct));
+            video.style.width = (video.offsetWidth * pct / 100) + 'px';
+            video.style.height = (video.offsetHeight * pct / 100) + 'px';
+        }
+
+        video.onended = () => {
+            if (mapSettings.debugMode) {
+                console.log('[Map] Video finished:', videoSrc);
+            }
+        };
+
+        const p = video.autoplay ? video.play() : null;
+        if (p && typeof p.then === 'function') {
+            p.catch(err => {
+                console.error('[Map] Video autoplay rejected by browser policies:', err);
+            });
+        }
+
+        if (!window._mapVideoResizeListener) {
+            window._mapVideoResizeListener = () => resizeVideoToSvg(mapVideoElement);
+            window.addEventListener('resize', window._mapVideoResizeListener);
+        }
+    } catch (error) {
+        console.error('[Map] Error in playMapVideo:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error(`Video error: ${error.message}`);
+        }
+    }
+}
+
+function createInteractivePath(shape, index) {
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  path.setAttribute('d', shape.path);
+  path.setAttribute('id', shape.id);
+  path.setAttribute('fill', 'transparent');
+  path.setAttribute('class', 'svg-path');
+  path.dataset.shapeIndex = String(index);
+  path.dataset.script = shape.script;
+  path.dataset.originalColor = shape.color;
+  applyZoneStyle(path, shape);
+  
+  setupZoneHoverCard(path);
+  setupZoneAccessibility(path, shape);
+
+// Create bound functions once and save to dataset
+// This allows correct removal of handlers later
+  const boundMouseOver = (e) => handleMouseOver.call(path, e);
+  const boundMouseOut = (e) => handleMouseOut.call(path, e);
+  
+// Save function references for later removal
+  path._boundMouseOver = boundMouseOver;
+  path._boundMouseOut = boundMouseOut;
+  path._boundClick = handleClick;
+
+  path.addEventListener('click', handleClick);
+  path.addEventListener('mouseover', boundMouseOver);
+  path.addEventListener('mouseout', boundMouseOut);
+
+  return path;
+}
+
+/**
+* Passes shape styling to style.css through CSS variables and classes
+* @param {SVGPathElement} path
+* @param {MapShape} shape
+*/
+function applyZoneStyle(path, shape) {
+  const setVar = (name, value) => {
+    if (value === undefined || value === null || value === '') path.style.removeProperty(name);
+    else path.style.setProperty(name, String(value));
+  };
+
+  const strokeWidth = Number(shape.strokeWidth);
+  setVar('--imap-color', shape.color);
+  setVar('--imap-hover-opacity', Number.isFinite(Number(shape.opacity)) ? Number(shape.opacity) : null);
+  setVar('--imap-stroke', isValidColor(shape.stroke) ? shape.stroke : null);
+  setVar('--imap-stroke-width', strokeWidth > 0 ? `${strokeWidth}px` : null);
+  setVar('--imap-rest-fill', isValidColor(shape.fill) ? shape.fill : null);
+  setVar('--imap-rest-opacity', Number.isFinite(Number(shape.fillOpacity)) ? Number(shape.fillOpacity) : null);
+
+  path.classList.add('imap-zone');
+  path.classList.toggle('imap-zone-outlined', Boolean(isValidColor(shape.stroke) || strokeWidth > 0 || shape.dashed));
+  path.classList.toggle('imap-zone-dashed', Boolean(shape.dashed));
+  path.classList.toggle('imap-zone-filled', isValidColor(shape.fill));
+}
+
+/**
+* Map-wide zone styling: hover opacity and animation from settings, outlines of all zones
+* @param {SVGSVGElement} svg
+* @param {Object|null} mapData
+*/
+function applyZoneStyleSettings(svg, mapData) {
+  svg.style.setProperty('--imap-hover-opacity', String(mapSettings.hoverOpacity));
+  svg.style.setProperty('--imap-transition', `${mapSettings.transitionDuration}ms`);
+  svg.classList.toggle('imap-show-outlines', Boolean(mapData?.showOutlines || mapSettings.showZoneOutlines));
+}
+
+function handleMouseOver(event) {
+  if (event?.type === 'mouseover') {
+    showHoverCard(this, event.clientX, event.clientY);
+    if (!editorState.active) emitMapEvent(MAP_EVENTS.ZONE_HOVERED, getZoneEventData(this));
+  }
+
+  // Disabled zones (condition not met) are not highlighted
+  if (this.dataset.zoneState === 'disable') return;
+
+  this.classList.add('imap-zone-active');
+}
+
+function handleMouseOut(event) {
+  hideHoverCard();
+  this.classList.remove('imap-zone-active', 'imap-zone-highlight');
+}
+
+function handleClick(event) {
+  // In editor mode a click selects the zone instead of running its script
+  if (editorState.active) {
+    editorHandleZoneClick(event);
+    return;
+  }
+
+  // Long press on touch screens only shows the hover card
+  if (isLongPressClick()) return;
+  hideHoverCard();
+
+  if (event.target.dataset.zoneState === 'disable') return;
+
+  activateZone(event.target);
+}
+
+/**
+* Enters zone and runs its script, if the sandbox of an untrusted map allows it
+* @param {SVGPathElement} path - Rendered zone element
+* @returns {Promise<unknown>} Script execution, conditions are re-applied after it
+*/
+async function activateZone(path) {
+  try {
+    // Permission popup and its saved approval can fail too; clicks don't wait for the result
+    if (!(await checkZoneScriptPermission(path))) return;
+
+    enterZone(path);
+
+    // Script may change variables used by zone conditions
+    return await Promise.resolve(executeSlashCommands(path.dataset.script))
+      .finally(() => refreshMapConditions());
+  } catch (error) {
+    console.error('[Map] Error executing script:', error);
+    if (typeof toastr !== 'undefined') toastr.error('Command error');
+  }
+}
+
+/**
+* Whether entering the zone moves the party there. Buttons (type "action": sound,
+* "return" and the like) are not places unless they set "location": true,
+* and any zone can opt out with "location": false
+* @param {MapShape|undefined} shape
+* @returns {boolean}
+*/
+function isLocationZone(shape) {
+  if (typeof shape?.location === 'boolean') return shape.location;
+  return shape?.type !== 'action';
+}
+
+/**
+* Makes zone the current location without running its script: moves tokens,
+* reveals it in fog of war, updates the location prompt and notifies listeners.
+* Zones that are not locations only notify listeners, the last location stays current
+* @param {SVGPathElement} path - Rendered zone element
+*/
+function enterZone(path) {
+  const shape = extensionState.currentMapData?.shapes[Number(path.dataset.shapeIndex)];
+
+  if (isLocationZone(shape)) {
+    extensionState.currentZoneId = path.id || null;
+    if (extensionState.currentZoneId) {
+      announceMap(`Entered ${path.getAttribute('aria-label') || extensionState.currentZoneId}`);
+      movePartyTokens(extensionState.currentZoneId);
+      if (getFogOfWarOptions(extensionState.currentMapData)) {
+        setZonesDiscovered([extensionState.currentZoneId], true);
+      }
+    }
+    saveChatMapState({
+      zone: extensionState.currentZoneId,
+      tokens: extensionState.tokenPlacements,
+      discovered: extensionState.discoveredZones,
+    });
+
+    updateLocationPrompt().catch(error => console.error('[Map] Error updating location prompt:', error));
+  }
+
+  const eventData = getZoneEventData(path);
+  emitMapEvent(MAP_EVENTS.ZONE_CLICKED, eventData);
+  runZoneActions(eventData);
+}
+
+// ===== 🛡 SCRIPT SANDBOX =====
+/**
+* Zone scripts of restricted maps (imported ones by default) may only use SANDBOX_COMMANDS,
+* and each script asks for confirmation the first time it runs. Scripts using any other
+* command are blocked and written to the sandbox log. Bundled maps are trusted
+*/
+const MAP_TRUST_LEVELS = ['trusted', 'restricted'];
+const MAX_SANDBOX_LOG = 100;
+
+const SANDBOX_COMMANDS = new Set([
+  // Map commands
+  'showmap', 'showmap_sound', 'stopsound', 'showmap_image', 'stopimage', 'showmap_video', 'stopvideo',
+  'map_token', 'map_focus', 'map_reveal', 'map_hide', 'map_back', 'map_forward', 'map_home',
+  'map_click', 'map_zones', 'map_info', 'map_volume', 'map_validate', 'map_layer', 'map_variant', 'map_overlay', 'map_route',
+  // Chat narration and scene
+  'sys', 'narrate', 'comment', 'echo', 'go', 'bg',
+  // Variables used by zone conditions
+  'getvar', 'setvar', 'addvar', 'incvar', 'decvar', 'flushvar',
+  'getglobalvar', 'setglobalvar', 'addglobalvar', 'incglobalvar', 'decglobalvar',
+]);
+
+/**
+* Trust level of a map: saved choice, otherwise imported maps are restricted
+* @param {string} mapPath
+* @returns {'trusted'|'restricted'}
+*/
+function getMapTrust(mapPath) {
+  const stored = getStoredSettings();
+  const saved = stored.mapTrust[mapPath];
+  if (MAP_TRUST_LEVELS.includes(saved)) return saved;
+  // Any imported file, even one not registered as a map, can be opened with /showmap
+  const imported = stored.importedMaps.includes(mapPath) || Boolean(stored.importedAssets[mapPath]);
+  return imported ? 'restricted' : 'trusted';
+}
+
+/**
+* @param {string} mapPath
+* @param {'trusted'|'restricted'} trust
+*/
+function setMapTrust(mapPath, trust) {
+  if (!MAP_TRUST_LEVELS.includes(trust)) {
+    throw new Error(`Trust level must be one of: ${MAP_TRUST_LEVELS.join(', ')}`);
+  }
+
+  getStoredSettings().mapTrust[mapPath] = trust;
+  saveSettingsDebounced();
+  updateImportedMapControls();
+}
+
+/**
+* Names of all commands used in a script, including closures ({: ... :}).
+* Anything looking like a command counts, so a blocked name can't hide in a nested script.
+* A "/" token that is not a plain command name (e.g. the "/:quick reply" shorthand)
+* is returned as written, so it never matches the allowlist
+* @param {string} script
+* @returns {string[]} Lowercase command names
+*/
+function getScriptCommands(script) {
+  const commands = [...String(script).matchAll(/(?:^|[\s|]|\{:)\/([^\s|]+)/g)]
+    .map(([, token]) => (/^[A-Za-z][\w-]*$/.test(token) ? token.toLowerCase() : token));
+  return [...new Set(commands)];
+}
+
+/**
+* Short stable hash to remember approved scripts without storing them
+* @param {string} text
+* @returns {string}
+*/
+function hashScript(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+* Adds blocked script to the sandbox log
+* @param {string} mapPath
+* @param {string} zoneId
+* @param {string[]} commands - Blocked commands
+*/
+function logBlockedScript(mapPath, zoneId, commands) {
+  const log = getStoredSettings().sandboxLog;
+  log.push({ time: new Date().toISOString(), map: mapPath, zone: zoneId, commands });
+  log.splice(0, Math.max(0, log.length - MAX_SANDBOX_LOG));
+  saveSettingsDebounced();
+
+  console.warn(`[Map] Sandbox: script of zone "${zoneId}" (${mapPath}) blocked, commands not allowed:`, commands);
+}
+
+/**
+* Asks user to run a script of a restricted map
+* @param {string} mapPath
+* @param {string} zoneId
+* @param {string} script
+* @returns {Promise<boolean>}
+*/
+async function confirmZoneScript(mapPath, zoneId, script) {
+  const content = document.createElement('div');
+
+  const text = document.createElement('p');
+  text.textContent = `Map "${getMapLabel(mapPath)}" is not trusted. Zone "${zoneId}" wants to run:`;
+
+  const code = document.createElement('pre');
+  code.textContent = script;
+  code.style.textAlign = 'left';
+  code.style.whiteSpace = 'pre-wrap';
+  code.style.maxHeight = '40vh';
+  code.style.overflowY = 'auto';
+
+  content.append(text, code);
+
+  const result = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', { okButton: 'Run', cancelButton: 'Cancel' });
+  return result === POPUP_RESULT.AFFIRMATIVE;
+}
+
+/**
+* Checks zone script against the sandbox of its map
+* @param {SVGPathElement} path - Zone element, its script follows zone conditions
+* @returns {Promise<boolean>} true if the script may run
+*/
+async function checkZoneScriptPermission(path) {
+  const mapPath = extensionState.currentLoadedMap;
+  const script = path.dataset.script || '';
+  if (!mapPath || getMapTrust(mapPath) === 'trusted' || !script.trim()) return true;
+
+  const blocked = getScriptCommands(script).filter(name => !SANDBOX_COMMANDS.has(name));
+  if (blocked.length > 0) {
+    logBlockedScript(mapPath, path.id, blocked);
+    if (typeof toastr !== 'undefined') {
+      toastr.warning(`Zone script blocked: /${blocked.join(', /')} not allowed on untrusted maps`);
+    }
+    return false;
+  }
+
+  const approved = getStoredSettings().approvedScripts;
+  const key = `${mapPath}#${hashScript(script)}`;
+  if (approved.includes(key)) return true;
+
+  if (!(await confirmZoneScript(mapPath, path.id, script))) return false;
+
+  approved.push(key);
+  saveSettingsDebounced();
+  return true;
+}
+
+// ===== 🎯 ZONES FROM STSCRIPT =====
+/**
+* Finds zone by id, or by name if no id matches (case-insensitive)
+* @param {Object} mapData
+* @param {string} query - Zone id or name
+* @returns {number} Index in mapData.shapes or -1
+*/
+function findZoneIndex(mapData, query) {
+  const shapes = mapData?.shapes || [];
+  const search = query.trim().toLowerCase();
+
+  const byId = shapes.findIndex(shape => shape.id === query.trim());
+  if (byId !== -1) return byId;
+
+  return shapes.findIndex(shape =>
+    shape.id.toLowerCase() === search || (typeof shape.name === 'string' && shape.name.trim().toLowerCase() === search));
+}
+
+/**
+* Finds zone of the open map that a script may run
+* @param {string} query - Zone id or name
+* @returns {SVGPathElement}
+* @throws {Error} If map is not open, zone is not found or closed by its condition
+*/
+function getClickableZone(query) {
+  if (!extensionState.isMapLoaded || !extensionState.currentMapData) {
+    throw new Error('Map window not open');
+  }
+
+  const index = findZoneIndex(extensionState.currentMapData, query);
+  const path = getSvgContainer()?.querySelector(`.svg-path[data-shape-index="${index}"]`);
+  if (index === -1 || !path) {
+    throw new Error(`Zone "${query}" not found on current map`);
+  }
+
+  // Zones closed by a condition can't be clicked from scripts either
+  const state = path.dataset.zoneState;
+  if (state === 'hide' || state === 'disable') {
+    throw new Error(`Zone "${query}" is not available`);
+  }
+
+  return path;
+}
+
+/**
+* Loads the map a command is about: named map, or the current one
+* @param {string} [input] - Map name or path
+* @returns {Promise<{mapPath: string, mapData: Object}>}
+* @throws {Error} If no map is selected or map can't be loaded
+*/
+async function getCommandMap(input) {
+  const mapPath = input ? resolveMapPath(input) : extensionState.currentLoadedMap;
+  if (!mapPath) {
+    throw new Error('No map selected');
+  }
+
+  const isCurrent = mapPath === extensionState.currentLoadedMap && extensionState.currentMapData;
+  const mapData = isCurrent ? extensionState.currentMapData : getMapLayerView(await loadMapData(mapPath), mapPath);
+  return { mapPath, mapData };
+}
+
+/**
+* Zone list for /map_zones: what a script needs to pick a zone
+* @param {string} mapPath
+* @param {Object} mapData - Map or layer view (zones of the current floor)
+* @returns {{id: string, name: string, type: string, tooltip: string, layer: string, state: string, discovered: boolean}[]}
+*/
+function describeZones(mapPath, mapData) {
+  const fog = getFogOfWarOptions(mapData);
+  const discovered = fog ? getDiscoveredZones(mapPath, mapData) : null;
+
+  return mapData.shapes.map(shape => ({
+    id: shape.id,
+    name: shape.name || '',
+    type: shape.type || '',
+    tooltip: shape.tooltip || '',
+    layer: shapeLayerIds.get(shape) || '',
+    state: getZoneConditionState(shape).state,
+    discovered: discovered ? discovered.has(shape.id) : true,
+  }));
+}
+
+// ===== 👂 FOLLOW LOCATIONS IN REPLIES =====
+/**
+* AI replies are scanned for names and aliases of zones of the chat map and of the maps
+* its zones link to. What happens on a match depends on the followMode setting:
+* - highlight: the zone (or the zone leading to the linked map) is highlighted
+* - confirm: same, plus a notification that moves there when clicked
+* - navigate: the map is shown and the zone entered right away (its script is not run)
+*/
+const FOLLOW_MIN_TERM_LENGTH = 3;
+const FOLLOW_HIGHLIGHT_MS = 4000;
+
+/**
+* @typedef {Object} FollowTarget
+* @property {string} term - Text to look for
+* @property {string} map - Map path
+* @property {string|null} zone - Zone id, null for the map itself
+* @property {string} via - Zone of the chat map that is, or leads to, the target
+* @property {string} label - Name for notifications
+*/
+
+/**
+* Phrases a zone can be mentioned by: its name, its id with dashes read as spaces and its aliases.
+* Names and ids shorter than the followMinWords setting are skipped, and a zone with
+* followNames: false is found only by its aliases, so common words ("river") can be left out.
+* Zones that are not locations (sound buttons, "return") are never matched
+* @param {MapShape} shape
+* @returns {string[]}
+*/
+function getZoneTerms(shape) {
+  if (!isLocationZone(shape)) return [];
+
+  const names = shape.followNames === false
+    ? []
+    : [shape.name, typeof shape.id === 'string' ? shape.id.replace(/[-_]+/g, ' ') : null]
+      .filter(term => typeof term === 'string' && term.trim().split(/\s+/).length >= mapSettings.followMinWords);
+  const terms = [...names, ...(Array.isArray(shape.aliases) ? shape.aliases : [])];
+  return [...new Set(terms
+    .filter(term => typeof term === 'string')
+    .map(term => term.trim())
+    .filter(term => term.length >= FOLLOW_MIN_TERM_LENGTH))];
+}
+
+/**
+* Collects places of the map and of the maps linked from its zones
+* @param {string} mapPath
+* @param {Object} mapData
+* @returns {Promise<FollowTarget[]>}
+*/
+async function getFollowTargets(mapPath, mapData) {
+  const targets = [];
+
+  for (const shape of getAllMapShapes(mapData)) {
+    const label = shape.name || shape.id;
+    getZoneTerms(shape).forEach(term => targets.push({ term, map: mapPath, zone: shape.id, via: shape.id, label }));
+
+    const link = getScriptReferences(shape.script).find(({ kind }) => kind === 'map');
+    if (!link) continue;
+
+    const linkedPath = resolveMapPath(link.name);
+    if (linkedPath === mapPath) continue;
+
+    let linkedData;
+    try {
+      linkedData = await loadMapData(linkedPath);
+    } catch (error) {
+      if (mapSettings.debugMode) console.log('[Map] Follow: linked map skipped:', linkedPath, error.message);
+      continue;
+    }
+
+    const mapLabel = linkedData.metadata?.name || getMapLabel(linkedPath);
+    new Set([mapLabel, getMapLabel(linkedPath)]).forEach(term => {
+      targets.push({ term, map: linkedPath, zone: null, via: shape.id, label: mapLabel });
+    });
+    getAllMapShapes(linkedData).forEach(linkedShape => {
+      const zoneLabel = `${linkedShape.name || linkedShape.id} (${mapLabel})`;
+      getZoneTerms(linkedShape).forEach(term => {
+        targets.push({ term, map: linkedPath, zone: linkedShape.id, via: shape.id, label: zoneLabel });
+      });
+    });
+  }
+
+  return targets;
+}
+
+/**
+* Finds the place mentioned last in the text (where the scene is heading),
+* longer names win when mentions overlap
+* @param {string} text
+* @param {FollowTarget[]} targets
+* @returns {FollowTarget|null}
+*/
+function findMentionedTarget(text, targets) {
+  let best = null;
+  let bestIndex = -1;
+
+  for (const target of targets) {
+    const escaped = target.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+
+    for (const match of text.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (end > bestIndex || (end === bestIndex && target.term.length > best.term.length)) {
+        best = target;
+        bestIndex = end;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+* Shows target map and enters target zone
+* @param {FollowTarget} target
+*/
+async function navigateToFollowTarget(target) {
+  if (target.map !== extensionState.currentLoadedMap || !extensionState.isMapLoaded) {
+    await showMap(target.map);
+  }
+  if (!target.zone || extensionState.currentLoadedMap !== target.map) return;
+
+  // Zones of other floors are reached by switching the floor, hidden overlays stay hidden
+  const floor = getMapFloors(extensionState.currentMapSource)
+    .find(layer => (layer.shapes || []).some(shape => shape.id === target.zone));
+  if (floor && findZoneIndex(extensionState.currentMapData, target.zone) === -1) {
+    setMapLayer(floor.id);
+  }
+
+  const index = findZoneIndex(extensionState.currentMapData, target.zone);
+  const path = getSvgContainer()?.querySelector(`.svg-path[data-shape-index="${index}"]`);
+  if (path && path.dataset.zoneState !== 'hide' && path.dataset.zoneState !== 'disable') {
+    enterZone(path);
+  }
+}
+
+/**
+* Checks received AI message for mentioned places
+* @param {number} messageId
+*/
+async function followLocationInMessage(messageId) {
+  const mode = mapSettings.followMode;
+  if (mode === 'off') return;
+
+  const message = getContext().chat?.[messageId];
+  if (!message || message.is_user || message.is_system || !message.mes) return;
+
+  const mapPath = getChatMapState()?.map;
+  if (!mapPath) return;
+
+  const mapData = await loadMapData(mapPath);
+  const targets = (await getFollowTargets(mapPath, mapData))
+    // The current location is not news
+    .filter(target => !(target.map === mapPath && target.zone === extensionState.currentZoneId && target.zone));
+
+  const target = findMentionedTarget(message.mes, targets);
+  if (!target) return;
+
+  if (mapSettings.debugMode) console.log('[Map] Follow: place mentioned:', target);
+
+  if (mode === 'navigate') {
+    await navigateToFollowTarget(target);
+    return;
+  }
+
+  if (extensionState.currentLoadedMap === mapPath) {
+    highlightZone(target.via, { duration: FOLLOW_HIGHLIGHT_MS });
+  }
+
+  if (mode === 'confirm' && typeof toastr !== 'undefined') {
+    toastr.info(`Click to go to ${target.label}`, 'Interactive map', {
+      timeOut: 15000,
+      onclick: () => {
+        navigateToFollowTarget(target).catch(error => console.error('[Map] Follow error:', error));
+      },
+    });
+  }
+}
+
+// ===== 💬 ZONE HOVER CARDS =====
+/**
+* Hover card shown next to the cursor over a zone: name, type badge, description,
+* thumbnail from the images folder and what a click does.
+* On touch devices the card is shown by a long press, which does not run the zone
+*/
+const LONG_PRESS_MS = 500;
+const HOVER_CARD_OFFSET_PX = 16;
+
+let hoverCardElement = null;
+
+const longPressState = {
+  timer: null,
+  pointerId: null,
+  startX: 0,
+  startY: 0,
+  endedAt: 0, // Time the last long press ended, the click that follows is ignored
+};
+
+const ZONE_COMMAND_HINTS = {
+  sound: 'Plays a sound',
+  image: 'Shows an image',
+  movie: 'Plays a video',
+};
+
+/**
+* Describes what clicking the zone will do
+* @param {MapShape} shape
+* @param {SVGPathElement} path - Zone element, its script and state follow zone conditions
+* @returns {string}
+*/
+function getZoneClickHint(shape, path) {
+  if (path.dataset.zoneState === 'disable') return 'Unavailable';
+  if (shape.hint) return shape.hint;
+
+  const references = getScriptReferences(path.dataset.script);
+  const map = references.find(({ kind }) => kind === 'map');
+  if (map) {
+    const mapPath = resolveMapPath(map.name);
+    const linked = mapCache.get(mapPath)?.metadata?.name || getMapLabel(mapPath);
+    return `Leads to ${linked}`;
+  }
+
+  return references.length > 0 ? ZONE_COMMAND_HINTS[references[0].kind] : '';
+}
+
+function getOrCreateHoverCard() {
+  if (hoverCardElement && document.body.contains(hoverCardElement)) {
+    return hoverCardElement;
+  }
+
+  const card = document.createElement('div');
+  card.id = 'map-hover-card';
+  card.setAttribute('aria-hidden', 'true'); // Zone aria-label already carries the text
+  card.style.position = 'fixed';
+  card.style.zIndex = '10000';
+  card.style.maxWidth = '280px';
+  card.style.padding = '8px 10px';
+  card.style.borderRadius = '8px';
+  card.style.border = '1px solid var(--SmartThemeBorderColor, rgba(255,255,255,0.3))';
+  card.style.background = 'var(--SmartThemeBlurTintColor, rgba(0,0,0,0.85))';
+  card.style.backdropFilter = 'blur(var(--SmartThemeBlurStrength, 10px))';
+  card.style.color = 'var(--SmartThemeBodyColor, #fff)';
+  card.style.boxShadow = '0 2px 8px var(--SmartThemeShadowColor, rgba(0,0,0,0.5))';
+  card.style.fontSize = '13px';
+  card.style.pointerEvents = 'none';
+  card.style.display = 'none';
+
+  document.body.appendChild(card);
+  hoverCardElement = card;
+  return card;
+}
+
+/**
+* Fills hover card with zone details
+* @param {HTMLElement} card
+* @param {MapShape} shape
+* @param {SVGPathElement} path
+*/
+function renderHoverCard(card, shape, path) {
+  card.replaceChildren();
+
+  if (shape.thumbnail) {
+    try {
+      const img = document.createElement('img');
+      img.src = resolveExtensionUrl(getMediaRelativePath(shape.thumbnail, 'image'));
+      img.alt = '';
+      img.style.display = 'block';
+      img.style.width = '100%';
+      img.style.maxHeight = '140px';
+      img.style.objectFit = 'cover';
+      img.style.borderRadius = '4px';
+      img.style.marginBottom = '6px';
+      img.addEventListener('error', () => img.remove());
+      card.appendChild(img);
+    } catch (error) {
+      console.warn('[Map] Invalid zone thumbnail:', shape.thumbnail, error.message);
+    }
+  }
+
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.alignItems = 'center';
+  header.style.gap = '6px';
+
+  const title = document.createElement('b');
+  title.textContent = shape.name || shape.id;
+  header.appendChild(title);
+
+  if (shape.type) {
+    const badge = document.createElement('span');
+    badge.textContent = shape.type;
+    badge.style.padding = '0 6px';
+    badge.style.borderRadius = '8px';
+    badge.style.fontSize = '11px';
+    badge.style.border = `1px solid ${shape.color}`;
+    badge.style.color = 'var(--SmartThemeQuoteColor, #ffa)';
+    header.appendChild(badge);
+  }
+  card.appendChild(header);
+
+  const text = shape.description || (shape.tooltip !== shape.name ? shape.tooltip : '');
+  if (text) {
+    const description = document.createElement('div');
+    description.textContent = text;
+    description.style.marginTop = '4px';
+    description.style.whiteSpace = 'pre-wrap';
+    card.appendChild(description);
+  }
+
+  const hint = getZoneClickHint(shape, path);
+  if (hint) {
+    const hintElement = document.createElement('div');
+    hintElement.textContent = hint;
+    hintElement.style.marginTop = '4px';
+    hintElement.style.fontStyle = 'italic';
+    hintElement.style.opacity = '0.75';
+    card.appendChild(hintElement);
+  }
+}
+
+/**
+* Shows hover card of the zone near the given point
+* @param {SVGPathElement} path
+* @param {number} clientX
+* @param {number} clientY
+*/
+function showHoverCard(path, clientX, clientY) {
+  const shape = extensionState.currentMapData?.shapes[Number(path.dataset.shapeIndex)];
+  if (!mapSettings.enableTooltips || !shape || editorState.active || path.dataset.zoneState === 'hide') {
+    hideHoverCard();
+    return;
+  }
+
+  const card = getOrCreateHoverCard();
+  renderHoverCard(card, shape, path);
+  card.style.display = 'block';
+  moveHoverCard(clientX, clientY);
+}
+
+/**
+* Positions hover card next to the point, flipping it to stay inside the viewport
+* @param {number} clientX
+* @param {number} clientY
+*/
+function moveHoverCard(clientX, clientY) {
+  const card = hoverCardElement;
+  if (!card || card.style.display === 'none') return;
+
+  const { width, height } = card.getBoundingClientRect();
+  let left = clientX + HOVER_CARD_OFFSET_PX;
+  let top = clientY + HOVER_CARD_OFFSET_PX;
+
+  if (left + width > window.innerWidth) left = Math.max(0, clientX - HOVER_CARD_OFFSET_PX - width);
+  if (top + height > window.innerHeight) top = Math.max(0, clientY - HOVER_CARD_OFFSET_PX - height);
+
+  card.style.left = `${left}px`;
+  card.style.top = `${top}px`;
+}
+
+function hideHoverCard() {
+  if (hoverCardElement) {
+    hoverCardElement.style.display = 'none';
+  }
+}
+
+function handleZoneMouseMove(event) {
+  moveHoverCard(event.clientX, event.clientY);
+}
+
+function cancelLongPress() {
+  clearTimeout(longPressState.timer);
+  longPressState.timer = null;
+  longPressState.pointerId = null;
+}
+
+function handleZonePointerDown(event) {
+  if (event.pointerType !== 'touch' || editorState.active) return;
+
+  cancelLongPress();
+  hideHoverCard();
+
+  const path = this;
+  longPressState.pointerId = event.pointerId;
+  longPressState.startX = event.clientX;
+  longPressState.startY = event.clientY;
+  longPressState.timer = setTimeout(() => {
+    longPressState.timer = null;
+    longPressState.endedAt = Infinity; // Until the finger is lifted
+    showHoverCard(path, longPressState.startX, longPressState.startY);
+  }, LONG_PRESS_MS);
+}
+
+function handleZonePointerMove(event) {
+  if (event.pointerId !== longPressState.pointerId || !longPressState.timer) return;
+
+  // Moving finger pans the map instead
+  if (Math.hypot(event.clientX - longPressState.startX, event.clientY - longPressState.startY) >= PAN_THRESHOLD_PX) {
+    cancelLongPress();
+  }
+}
+
+function handleZonePointerUp(event) {
+  if (event.pointerId !== longPressState.pointerId) return;
+
+  if (longPressState.endedAt === Infinity) {
+    longPressState.endedAt = Date.now();
+  }
+  cancelLongPress();
+}
+
+/**
+* Whether the click comes right after a long press that showed the hover card
+* @returns {boolean}
+*/
+function isLongPressClick() {
+  return Date.now() - longPressState.endedAt < LONG_PRESS_MS;
+}
+
+/**
+* Adds hover card and long press listeners to zone
+* @param {SVGPathElement} path
+*/
+function setupZoneHoverCard(path) {
+  path._boundMouseMove = handleZoneMouseMove;
+  path._boundPointerDown = handleZonePointerDown;
+  path._boundPointerMove = handleZonePointerMove;
+  path._boundPointerUp = handleZonePointerUp;
+
+  path.addEventListener('mousemove', handleZoneMouseMove);
+  path.addEventListener('pointerdown', handleZonePointerDown);
+  path.addEventListener('pointermove', handleZonePointerMove);
+  path.addEventListener('pointerup', handleZonePointerUp);
+  path.addEventListener('pointercancel', handleZonePointerUp);
+  // Long press must not open the browser context menu
+  path.addEventListener('contextmenu', preventLongPressMenu);
+}
+
+function preventLongPressMenu(event) {
+  if (longPressState.endedAt === Infinity) {
+    event.preventDefault();
+  }
+}
+
+/**
+* Removes listeners added by setupZoneHoverCard
+* @param {SVGPathElement} path
+*/
+function teardownZoneHoverCard(path) {
+  if (!path._boundMouseMove) return;
+
+  path.removeEventListener('mousemove', path._boundMouseMove);
+  path.removeEventListener('pointerdown', path._boundPointerDown);
+  path.removeEventListener('pointermove', path._boundPointerMove);
+  path.removeEventListener('pointerup', path._boundPointerUp);
+  path.removeEventListener('pointercancel', path._boundPointerUp);
+  path.removeEventListener('contextmenu', preventLongPressMenu);
+
+  delete path._boundMouseMove;
+  delete path._boundPointerDown;
+  delete path._boundPointerMove;
+  delete path._boundPointerUp;
+}
+
+// ===== ♿ ZONE ACCESSIBILITY =====
+/**
+* Zones are focusable buttons: Tab moves between them, Enter/Space runs the zone
+* like a click, arrow keys jump to the nearest zone in that direction.
+* Map loading and entering a zone are announced through a live region
+*/
+const ARROW_DIRECTIONS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowDown: [0, 1],
+  ArrowUp: [0, -1],
+};
+
+/**
+* Accessible name of a zone: name, then tooltip if it adds something
+* @param {MapShape} shape
+* @returns {string}
+*/
+function getZoneLabel(shape) {
+  const name = String(shape.name || shape.id || '').trim();
+  const tooltip = String(shape.tooltip || '').trim();
+  if (!tooltip || tooltip === name) return name;
+  return name ? `${name}. ${tooltip}` : tooltip;
+}
+
+/**
+* Makes zone reachable with keyboard and readable by screen readers
+* @param {SVGPathElement} path
+* @param {MapShape} shape
+*/
+function setupZoneAccessibility(path, shape) {
+  path.setAttribute('tabindex', '0');
+  path.setAttribute('role', 'button');
+  path.setAttribute('aria-label', getZoneLabel(shape));
+
+  path._boundFocus = handleZoneFocus;
+  path._boundBlur = handleZoneBlur;
+  path._boundKeyDown = handleZoneKeyDown;
+
+  path.addEventListener('focus', handleZoneFocus);
+  path.addEventListener('blur', handleZoneBlur);
+  path.addEventListener('keydown', handleZoneKeyDown);
+}
+
+/**
+* Keeps keyboard and screen reader state in line with the zone condition state
+* @param {SVGPathElement} path
+* @param {'enabled'|'hide'|'disable'|'script'} state
+*/
+function updateZoneAccessibility(path, state) {
+  path.setAttribute('tabindex', state === 'hide' ? '-1' : '0');
+  path.setAttribute('aria-hidden', String(state === 'hide'));
+  path.setAttribute('aria-disabled', String(state === 'disable'));
+}
+
+// Focus is highlighted like hover, plus an outline in the zone color (see style.css)
+function handleZoneFocus(event) {
+  handleMouseOver.call(this, event);
+  if (editorState.active) return;
+
+  const rect = this.getBoundingClientRect();
+  showHoverCard(this, rect.right, rect.top);
+}
+
+function handleZoneBlur(event) {
+  handleMouseOut.call(this, event);
+}
+
+function handleZoneKeyDown(event) {
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    handleClick({ target: this, currentTarget: this });
+    return;
+  }
+
+  const direction = ARROW_DIRECTIONS[event.key];
+  if (!direction) return;
+
+  event.preventDefault();
+  const next = findNeighbourZone(this, direction);
+  if (next) {
+    next.focus();
+  }
+}
+
+/**
+* Finds the nearest visible zone in the given direction from zone center.
+* Zones straight ahead are preferred over zones far to the side
+* @param {SVGPathElement} from
+* @param {[number, number]} direction - Unit vector
+* @returns {SVGPathElement|null}
+*/
+function findNeighbourZone(from, [dirX, dirY]) {
+  const origin = getZoneAnchor(from.id);
+  const svg = getSvgContainer();
+  if (!origin || !svg) return null;
+
+  let best = null;
+  let bestScore = Infinity;
+
+  svg.querySelectorAll('.svg-path').forEach(path => {
+    if (path === from || path.dataset.zoneState === 'hide') return;
+
+    const anchor = getZoneAnchor(path.id);
+    if (!anchor) return;
+
+    const dx = anchor[0] - origin[0];
+    const dy = anchor[1] - origin[1];
+    const along = dx * dirX + dy * dirY;
+    const across = Math.abs(dx * dirY - dy * dirX);
+
+    // Only zones within 45° of the arrow direction
+    if (along <= 0 || across > along) return;
+
+    const score = along + across * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = path;
+    }
+  });
+
+  return best;
+}
+
+/**
+* Reads message to screen reader users through the map window live region
+* @param {string} message
+*/
+function announceMap(message) {
+  const region = document.getElementById('map-live-region');
+  if (!region) return;
+
+  // Clear first, so the same message is announced again
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+// ===== 🔒 CONDITIONAL ZONES =====
+/**
+* @typedef {Object} ZoneCondition
+* @property {string} expression - e.g. "door_key == 1 && !global:night"
+* @property {'hide'|'disable'|'script'} otherwise - What happens when the expression is false
+* @property {string} [script] - Script used instead of shape.script when otherwise is "script"
+*/
+
+/**
+* Reads STScript variable. Local (chat) variables take priority over global ones,
+* "local:" and "global:" prefixes select the scope explicitly
+* @param {string} name
+* @returns {unknown} Variable value or undefined
+*/
+function getMapVariable(name) {
+  const match = /^(local|global):(.+)$/.exec(name);
+  const scope = match ? match[1] : null;
+  const key = match ? match[2] : name;
+
+  const localVars = getContext().chatMetadata?.variables;
+  const globalVars = extension_settings.variables?.global;
+
+  if (scope !== 'global' && localVars && localVars[key] !== undefined) return localVars[key];
+  if (scope !== 'local' && globalVars && globalVars[key] !== undefined) return globalVars[key];
+  return undefined;
+}
+
+function isTruthyVariable(value) {
+  if (value === undefined || value === null) return false;
+  const str = String(value).trim().toLowerCase();
+  return str !== '' && str !== '0' && str !== 'false';
+}
+
+function compareConditionValues(left, op, right) {
+  const leftNum = Number(left);
+  const rightNum = Number(right);
+  const numeric = left !== undefined && left !== null && String(left).trim() !== ''
+    && Number.isFinite(leftNum) && Number.isFinite(rightNum);
+
+  switch (op) {
+    case '==': return numeric ? leftNum === rightNum : String(left ?? '') === right;
+    case '!=': return numeric ? leftNum !== rightNum : String(left ?? '') !== right;
+    case '>': return numeric && leftNum > rightNum;
+    case '>=': return numeric && leftNum >= rightNum;
+    case '<': return numeric && leftNum < rightNum;
+    case '<=': return numeric && leftNum <= rightNum;
+    default: return false;
+  }
+}
+
+/**
+* Evaluates condition term: "name op value", "name" (truthy) or "!name" (falsy)
+* @param {string} term
+* @param {(name: string) => unknown} getVariable
+* @returns {boolean}
+*/
+function evaluateConditionTerm(term, getVariable) {
+  const match = /^([\w:.-]+)\s*(==|!=|>=|<=|>|<)\s*(.+)$/.exec(term);
+
+  if (!match) {
+    const negated = term.startsWith('!');
+    const truthy = isTruthyVariable(getVariable(term.replace(/^!\s*/, '')));
+    return negated ? !truthy : truthy;
+  }
+
+  const [, name, op, rawValue] = match;
+  const value = rawValue.trim().replace(/^(['"])(.*)\1$/, '$2');
+  return compareConditionValues(getVariable(name), op, value);
+}
+
+/**
+* Evaluates condition expression. Terms are joined with && and ||
+* (&& binds tighter), parentheses are not supported
+* @param {string} expression
+* @param {(name: string) => unknown} [getVariable]
+* @returns {boolean}
+*/
+function evaluateCondition(expression, getVariable = getMapVariable) {
+  return String(expression).split('||').some(orPart =>
+    orPart.split('&&').every(term => {
+      const trimmed = term.trim();
+      return trimmed !== '' && evaluateConditionTerm(trimmed, getVariable);
+    }));
+}
+
+/**
+* Brings string shorthand and object form of shape.condition to one form
+* @param {string|Partial<ZoneCondition>} condition
+* @returns {ZoneCondition|null}
+*/
+function normalizeZoneCondition(condition) {
+  if (typeof condition === 'string') {
+    return condition.trim() ? { expression: condition, otherwise: 'hide' } : null;
+  }
+
+  if (!condition || typeof condition !== 'object' || typeof condition.expression !== 'string') {
+    return null;
+  }
+
+  return {
+    expression: condition.expression,
+    otherwise: condition.otherwise || 'hide',
+    script: condition.script,
+  };
+}
+
+/**
+* Calculates how a zone should behave right now
+* @param {MapShape} shape
+* @returns {{ state: 'enabled'|'hide'|'disable'|'script', script: string }}
+*/
+function getZoneConditionState(shape) {
+  const condition = normalizeZoneCondition(shape.condition);
+  if (!condition) {
+    return { state: 'enabled', script: shape.script };
+  }
+
+  let passed = false;
+  try {
+    passed = evaluateCondition(condition.expression);
+  } catch (error) {
+    console.error(`[Map] Error evaluating condition of zone "${shape.id}":`, error);
+  }
+
+  if (passed) {
+    return { state: 'enabled', script: shape.script };
+  }
+
+  if (condition.otherwise === 'script') {
+    return { state: 'script', script: condition.script || shape.script };
+  }
+
+  return { state: condition.otherwise === 'disable' ? 'disable' : 'hide', script: shape.script };
+}
+
+/**
+* Shows, hides, disables zones or swaps their scripts according to conditions
+*/
+function applyZoneConditions() {
+  const svg = getSvgContainer();
+  const mapData = extensionState.currentMapData;
+  if (!svg || !mapData || editorState.active) return;
+
+  let changed = false;
+
+  svg.querySelectorAll('.svg-path').forEach(path => {
+    const shape = mapData.shapes[Number(path.dataset.shapeIndex)];
+    if (!shape || !shape.condition) return;
+
+    const { state, script } = getZoneConditionState(shape);
+    if (path.dataset.zoneState === state && path.dataset.script === script) return;
+
+    changed = true;
+
+    path.dataset.zoneState = state;
+    path.dataset.script = script;
+    path.classList.toggle('imap-zone-hidden', state === 'hide');
+    path.classList.toggle('imap-zone-disabled', state === 'disable');
+    if (state === 'disable') {
+      path.classList.remove('imap-zone-active', 'imap-zone-highlight');
+    }
+    updateZoneAccessibility(path, state);
+
+    if (mapSettings.debugMode) {
+      console.log(`[Map] Zone "${shape.id}" condition state: ${state}`);
+    }
+  });
+
+  // Fog silhouettes and labels must follow hidden zones
+  if (changed && svg.querySelector('#map-fog-layer')) {
+    renderFogOfWar();
+  }
+  if (changed && svg.querySelector('#map-label-layer')) {
+    renderMapLabels();
+  }
+}
+
+/**
+* Re-checks zone and sprite conditions and the variant variable of the open map.
+* Runs when the chat changes, a message is sent or received, after zone scripts
+* and when the variable watcher sees a change
+*/
+function refreshMapConditions() {
+  if (!extensionState.isMapLoaded || editorState.active) return;
+
+  applyZoneConditions();
+  applySpriteConditions();
+  updateMapVariant().catch(error => console.error('[Map] Error updating map variant:', error));
+}
+
+const VARIABLE_CHECK_INTERVAL = 1000;
+
+let variableWatchTimer = null;
+
+/**
+* Lists variable names used in condition expression
+* @param {string} expression
+* @returns {string[]}
+*/
+function getConditionVariableNames(expression) {
+  return String(expression).split(/\|\||&&/).map(term => {
+    const trimmed = term.trim();
+    const match = /^([\w:.-]+)\s*(==|!=|>=|<=|>|<)/.exec(trimmed);
+    return match ? match[1] : trimmed.replace(/^!\s*/, '');
+  }).filter(Boolean);
+}
+
+/**
+* Collects variables the open map depends on: zone and sprite conditions and variantVariable
+* @returns {string[]}
+*/
+function getWatchedVariableNames() {
+  const mapSource = extensionState.currentMapSource || extensionState.currentMapData;
+  const mapData = extensionState.currentMapData;
+  if (!mapSource || !mapData) return [];
+
+  const names = new Set();
+  getAllMapShapes(mapSource).forEach(shape => {
+    const condition = normalizeZoneCondition(shape.condition);
+    if (condition) getConditionVariableNames(condition.expression).forEach(name => names.add(name));
+  });
+  getMapSprites(extensionState.currentLoadedMap, mapData).forEach(sprite => {
+    if (sprite.condition) getConditionVariableNames(sprite.condition).forEach(name => names.add(name));
+  });
+  if (typeof mapSource.variantVariable === 'string' && mapSource.variantVariable) {
+    names.add(mapSource.variantVariable);
+  }
+  return [...names];
+}
+
+/**
+* Watches variables used by the open map. /setvar typed in the chat, Quick Replies
+* and other extensions change variables without an event, so their values are
+* compared once a second and conditions are re-checked when one differs.
+* Maps without conditions start no timer
+*/
+function startVariableWatcher() {
+  stopVariableWatcher();
+
+  const names = getWatchedVariableNames();
+  if (names.length === 0) return;
+
+  const takeSnapshot = () => JSON.stringify(names.map(name => getMapVariable(name) ?? null));
+  let snapshot = takeSnapshot();
+
+  variableWatchTimer = setInterval(() => {
+    if (document.hidden || !extensionState.isMapLoaded || editorState.active) return;
+
+    const current = takeSnapshot();
+    if (current === snapshot) return;
+
+    snapshot = current;
+    refreshMapConditions();
+  }, VARIABLE_CHECK_INTERVAL);
+}
+
+function stopVariableWatcher() {
+  if (variableWatchTimer) {
+    clearInterval(variableWatchTimer);
+    variableWatchTimer = null;
+  }
+}
+
+// ===== 🧍 MAP TOKENS =====
+/**
+* @typedef {Object} MapTokenInfo
+* @property {string} name - Display name (persona or character name)
+* @property {string|null} avatar - Avatar URL
+* @property {boolean} [isUser]
+*/
+
+/**
+* Returns tokens for the user persona and the current character or group members
+* @returns {MapTokenInfo[]}
+*/
+function getChatTokenInfos() {
+  const context = getContext();
+  /** @type {MapTokenInfo[]} */
+  const tokens = [];
+
+  if (context.name1) {
+    tokens.push({ name: context.name1, avatar: user_avatar ? getUserAvatar(user_avatar) : null, isUser: true });
+  }
+
+  const characters = context.characters || [];
+
+  if (context.groupId) {
+    const group = (context.groups || []).find(g => g.id === context.groupId);
+    (group?.members || []).forEach(avatar => {
+      const character = characters.find(c => c.avatar === avatar);
+      if (character) {
+        tokens.push({ name: character.name, avatar: getThumbnailUrl('avatar', character.avatar) });
+      }
+    });
+  } else if (context.characterId !== undefined && characters[context.characterId]) {
+    const character = characters[context.characterId];
+    tokens.push({ name: character.name, avatar: getThumbnailUrl('avatar', character.avatar) });
+  }
+
+  return tokens;
+}
+
+/**
+* Resolves token name from command input: user/{{user}}, char/{{char}} or a name
+* @param {string} input
+* @returns {string}
+*/
+function resolveTokenName(input) {
+  const context = getContext();
+  const trimmed = String(input).trim().replace(/^["']|["']$/g, '');
+  const lower = trimmed.toLowerCase();
+
+  if (lower === 'user' || lower === '{{user}}') return context.name1 || trimmed;
+  if (lower === 'char' || lower === '{{char}}') return context.name2 || trimmed;
+
+  const known = getChatTokenInfos().find(t => t.name.toLowerCase() === lower);
+  return known ? known.name : trimmed;
+}
+
+/**
+* Area-weighted centroid of polygon, falls back to the average of vertices
+* @param {Array<[number, number]>} points
+* @returns {[number, number]}
+*/
+function getPolygonCentroid(points) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  });
+
+  if (Math.abs(area) < 1e-6) {
+    const sum = points.reduce((acc, [x, y]) => [acc[0] + x, acc[1] + y], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+  }
+
+  area /= 2;
+  return [cx / (6 * area), cy / (6 * area)];
+}
+
+/**
+* Point inside zone where tokens are placed: explicit "anchor" or centroid
+* @param {string} zoneId
+* @returns {[number, number]|null}
+*/
+function getZoneAnchor(zoneId) {
+  const shape = extensionState.currentMapData?.shapes.find(s => s.id === zoneId);
+  if (!shape) return null;
+
+  if (shape.anchor && Number.isFinite(Number(shape.anchor.x)) && Number.isFinite(Number(shape.anchor.y))) {
+    return [Number(shape.anchor.x), Number(shape.anchor.y)];
+  }
+
+  const points = parsePolygonPath(shape.path);
+  if (points) return getPolygonCentroid(points);
+
+  // Curved outlines: center of the bounding box
+  const element = getSvgContainer()?.querySelector(`.svg-path[data-shape-index="${extensionState.currentMapData.shapes.indexOf(shape)}"]`);
+  if (element && typeof element.getBBox === 'function') {
+    const box = element.getBBox();
+    return [box.x + box.width / 2, box.y + box.height / 2];
+  }
+
+  return null;
+}
+
+/**
+* Places token on current map
+* @param {string} tokenName
+* @param {string|[number, number]|null} target - Zone id, coordinates or null to remove
+*/
+function setTokenPlacement(tokenName, target) {
+  const mapPath = extensionState.currentLoadedMap;
+  if (!mapPath) return;
+
+  const placements = { ...(extensionState.tokenPlacements[mapPath] || {}) };
+  if (target === null) {
+    delete placements[tokenName];
+  } else {
+    placements[tokenName] = target;
+  }
+
+  extensionState.tokenPlacements = { ...extensionState.tokenPlacements, [mapPath]: placements };
+  renderMapTokens();
+}
+
+/**
+* Moves the user token (and the character in a 1:1 chat) to the entered zone.
+* In group chats members are placed individually with /map_token
+* @param {string} zoneId
+*/
+function movePartyTokens(zoneId) {
+  const context = getContext();
+  const party = getChatTokenInfos().filter(token => token.isUser || !context.groupId);
+  party.forEach(token => setTokenPlacement(token.name, zoneId));
+}
+
+function getMapTokenRadius() {
+  const bg = extensionState.currentMapData?.backgroundImage;
+  const size = Math.min(Number(bg?.width) || 1000, Number(bg?.height) || 1000);
+  return size * 0.03;
+}
+
+function createTokenElement(token, radius) {
+  const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  group.setAttribute('class', 'map-token');
+  group.dataset.token = token.name;
+  group.style.pointerEvents = 'none';
+
+  const border = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  border.setAttribute('r', String(radius));
+  border.setAttribute('fill', token.isUser ? '#2E7D32' : '#1565C0');
+  border.setAttribute('stroke', '#fff');
+  border.setAttribute('stroke-width', String(radius * 0.12));
+  group.appendChild(border);
+
+  if (token.avatar) {
+    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+    image.setAttribute('href', token.avatar);
+    image.setAttribute('x', String(-radius));
+    image.setAttribute('y', String(-radius));
+    image.setAttribute('width', String(radius * 2));
+    image.setAttribute('height', String(radius * 2));
+    image.setAttribute('preserveAspectRatio', 'xMidYMid slice');
+    image.setAttribute('clip-path', 'url(#map-token-clip)');
+    group.appendChild(image);
+  } else {
+    const initial = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    initial.setAttribute('text-anchor', 'middle');
+    initial.setAttribute('dominant-baseline', 'central');
+    initial.setAttribute('fill', '#fff');
+    initial.setAttribute('font-size', String(radius));
+    initial.textContent = token.name.charAt(0).toUpperCase();
+    group.appendChild(initial);
+  }
+
+  const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+  label.setAttribute('y', String(radius * 1.7));
+  label.setAttribute('text-anchor', 'middle');
+  label.setAttribute('fill', '#fff');
+  label.setAttribute('stroke', '#000');
+  label.setAttribute('stroke-width', String(radius * 0.08));
+  label.setAttribute('paint-order', 'stroke');
+  label.setAttribute('font-size', String(radius * 0.55));
+  label.textContent = token.name;
+  group.appendChild(label);
+
+  return group;
+}
+
+function getOrCreateTokenLayer(svg) {
+  let layer = svg.querySelector('#map-token-layer');
+  if (!layer) {
+    layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    layer.setAttribute('id', 'map-token-layer');
+    layer.innerHTML = '<defs><clipPath id="map-token-clip" clipPathUnits="objectBoundingBox"><circle cx="0.5" cy="0.5" r="0.5"/></clipPath></defs>';
+  }
+  // Keep tokens above zones
+  svg.appendChild(layer);
+  return layer;
+}
+
+/**
+* Draws tokens of the current map. Existing tokens are moved with animation
+*/
+function renderMapTokens() {
+  const svg = getSvgContainer();
+  if (!svg || !extensionState.isMapLoaded || editorState.active) return;
+
+  const layer = getOrCreateTokenLayer(svg);
+  const placements = extensionState.tokenPlacements[extensionState.currentLoadedMap] || {};
+  const infos = getChatTokenInfos();
+  const radius = getMapTokenRadius();
+
+  // Group tokens by position so tokens in one zone stand side by side
+  const byPosition = new Map();
+  Object.entries(mapSettings.showTokens ? placements : {}).forEach(([name, target]) => {
+    const position = Array.isArray(target) ? target.map(Number) : getZoneAnchor(target);
+    if (!position || !position.every(Number.isFinite)) return;
+
+    const key = position.join(',');
+    if (!byPosition.has(key)) byPosition.set(key, { position, names: [] });
+    byPosition.get(key).names.push(name);
+  });
+
+  const rendered = new Set();
+  byPosition.forEach(({ position: [x, y], names }) => {
+    names.forEach((name, i) => {
+      const dx = (i - (names.length - 1) / 2) * radius * 2.3;
+      let element = [...layer.querySelectorAll('.map-token')].find(el => el.dataset.token === name);
+
+      if (!element) {
+        const info = infos.find(t => t.name === name) || { name, avatar: null };
+        element = createTokenElement(info, radius);
+        element.style.transform = `translate(${x + dx}px, ${y}px)`;
+        layer.appendChild(element);
+      } else {
+        element.style.transition = `transform ${mapSettings.tokenAnimationDuration}ms ease-in-out`;
+        element.style.transform = `translate(${x + dx}px, ${y}px)`;
+      }
+
+      rendered.add(name);
+    });
+  });
+
+  layer.querySelectorAll('.map-token').forEach(element => {
+    if (!rendered.has(element.dataset.token)) element.remove();
+  });
+}
+
+// ===== 🏷 MAP LABELS AND ICONS =====
+/**
+* Zone names and icons drawn on the map. A zone gets a label when the map has
+* "showLabels": true or the shape has "label" (text, or true for its name);
+* "label": false opts a zone out. Icons are Font Awesome names ("fa-store")
+* or images from the images folder. Labels that would overlap are moved aside or dropped
+*/
+const LABEL_OFFSETS = [[0, 0], [0, 1], [0, -1], [1, 0], [-1, 0], [0, 2], [0, -2]];
+
+/**
+* Text of zone label or '' for none
+* @param {MapShape} shape
+* @param {Object} mapData
+* @returns {string}
+*/
+function getZoneLabelText(shape, mapData) {
+  if (shape.label === false) return '';
+  if (typeof shape.label === 'string') return shape.label.trim();
+  if (shape.label === true || mapData.showLabels) return String(shape.name || shape.id);
+  return '';
+}
+
+/**
+* Point where label is placed: labelPosition, polygon centroid or bounding box center
+* @param {MapShape} shape
+* @param {SVGPathElement} path
+* @returns {[number, number]|null}
+*/
+function getZoneLabelPoint(shape, path) {
+  const position = shape.labelPosition;
+  if (position && Number.isFinite(Number(position.x)) && Number.isFinite(Number(position.y))) {
+    return [Number(position.x), Number(position.y)];
+  }
+
+  const points = parsePolygonPath(shape.path);
+  if (points) return getPolygonCentroid(points);
+
+  if (typeof path.getBBox === 'function') {
+    const box = path.getBBox();
+    return [box.x + box.width / 2, box.y + box.height / 2];
+  }
+  return null;
+}
+
+/**
+* Creates icon element centered at the point
+* @param {string} icon - Font Awesome icon ("fa-store", "fa-solid fa-store") or image name
+* @param {number} x
+* @param {number} y
+* @param {number} size - Icon size in map units
+* @returns {SVGElement|null}
+*/
+function createZoneIcon(icon, x, y, size) {
+  const name = icon.trim();
+
+  if (/^fa[-\s]/.test(name)) {
+    const object = document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject');
+    object.setAttribute('x', String(x - size / 2));
+    object.setAttribute('y', String(y - size / 2));
+    object.setAttribute('width', String(size));
+    object.setAttribute('height', String(size));
+    object.setAttribute('class', 'imap-label-icon');
+
+    const glyph = document.createElementNS('http://www.w3.org/1999/xhtml', 'i');
+    glyph.className = /\bfa-(solid|regular|brands)\b/.test(name) ? name : `fa-solid ${name}`;
+    glyph.style.fontSize = `${size * 0.8}px`;
+    object.appendChild(glyph);
+    return object;
+  }
+
+  try {
+    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+    image.setAttribute('href', resolveExtensionUrl(getMediaRelativePath(name, 'image')));
+    image.setAttribute('x', String(x - size / 2));
+    image.setAttribute('y', String(y - size / 2));
+    image.setAttribute('width', String(size));
+    image.setAttribute('height', String(size));
+    image.setAttribute('class', 'imap-label-icon');
+    return image;
+  } catch (error) {
+    console.warn('[Map] Invalid zone icon:', name, error.message);
+    return null;
+  }
+}
+
+/**
+* @param {DOMRect} a
+* @param {DOMRect} b
+* @returns {boolean}
+*/
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+* Draws labels and icons of visible zones above fog and below tokens
+*/
+function renderMapLabels() {
+  const svg = getSvgContainer();
+  svg?.querySelector('#map-label-layer')?.remove();
+
+  const mapData = extensionState.currentMapData;
+  if (!svg || !mapData || editorState.active || !mapSettings.showZoneLabels) return;
+
+  const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  layer.setAttribute('id', 'map-label-layer');
+  layer.setAttribute('aria-hidden', 'true');
+  svg.insertBefore(layer, svg.querySelector('#map-token-layer'));
+
+  const fog = getFogOfWarOptions(mapData);
+  const discovered = fog ? getDiscoveredZones(extensionState.currentLoadedMap, mapData) : null;
+  const fontSize = getMapTokenRadius() * 0.6;
+  const placed = [];
+
+  mapData.shapes.forEach((shape, index) => {
+    const path = svg.querySelector(`.svg-path[data-shape-index="${index}"]`);
+    if (!path || path.dataset.zoneState === 'hide') return;
+    // Labels must not give away zones under fog
+    if (discovered && !discovered.has(shape.id)) return;
+
+    const text = getZoneLabelText(shape, mapData);
+    const icon = typeof shape.icon === 'string' && shape.icon.trim() ? shape.icon : '';
+    if (!text && !icon) return;
+
+    const point = getZoneLabelPoint(shape, path);
+    if (!point) return;
+
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('class', 'imap-label-group');
+    group.dataset.zone = shape.id;
+
+    const iconSize = fontSize * 1.8;
+    const [x, y] = point;
+    if (icon) {
+      const iconElement = createZoneIcon(icon, x, text ? y - iconSize / 2 : y, iconSize);
+      if (iconElement) group.appendChild(iconElement);
+    }
+    if (text) {
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('class', 'imap-label');
+      label.setAttribute('x', String(x));
+      label.setAttribute('y', String(icon ? y + fontSize * 0.6 : y));
+      label.setAttribute('font-size', String(fontSize));
+      label.textContent = text;
+      group.appendChild(label);
+    }
+    layer.appendChild(group);
+
+    // Try spots around the point until the label doesn't overlap already placed ones
+    const box = group.getBBox();
+    const free = LABEL_OFFSETS.find(([dx, dy]) => {
+      const moved = { x: box.x + dx * box.width, y: box.y + dy * box.height, width: box.width, height: box.height };
+      return !placed.some(other => boxesOverlap(moved, other));
+    });
+
+    if (!free) {
+      group.remove();
+      return;
+    }
+
+    const [dx, dy] = free;
+    if (dx || dy) {
+      group.setAttribute('transform', `translate(${dx * box.width} ${dy * box.height})`);
+    }
+    placed.push({ x: box.x + dx * box.width, y: box.y + dy * box.height, width: box.width, height: box.height });
+  });
+}
+
+// ===== 🎞 MAP SPRITES =====
+/**
+* Small animated pictures placed on the map: GIF/WebP/APNG/SVG images from the images
+* folder or short looping videos from the movies folder (a campfire, moving water,
+* a blinking sign). They live in SVG coordinates, so they scale and pan with the map,
+* and are drawn above the background but below zones. Maps define them in "sprites",
+* scripts add and remove them with /map_overlay; changes are saved per chat
+*/
+
+/** @typedef {Object} MapSprite
+ *  @property {string} id
+ *  @property {string} file - Image or video name, e.g. "campfire.gif" or "movies/river.webm"
+ *  @property {number} x - Left edge in background image pixels
+ *  @property {number} y - Top edge in background image pixels
+ *  @property {number} width
+ *  @property {number} height
+ *  @property {number} [opacity]
+ *  @property {string} [layer] - Shown only while this floor or overlay layer is
+ *  @property {string} [condition] - Shown only while this variable expression is true
+ */
+
+const SPRITE_VIDEO_PATTERN = /\.(mp4|webm|m4v)$/i;
+
+/**
+* Resolves sprite file to the movies folder for videos, the images folder otherwise
+* @param {string} file
+* @returns {{type: 'image'|'movie', relativePath: string}}
+* @throws {Error} If path is unsafe
+*/
+function getSpriteMedia(file) {
+  const type = SPRITE_VIDEO_PATTERN.test(file) || /^movies\//i.test(file.trim()) ? 'movie' : 'image';
+  return { type, relativePath: getMediaRelativePath(file, type) };
+}
+
+/**
+* Sprites of a map: its own ones with the changes made in this chat applied
+* @param {string} mapPath
+* @param {Object} mapData
+* @returns {MapSprite[]}
+*/
+function getMapSprites(mapPath, mapData) {
+  const changes = extensionState.spriteChanges[mapPath] || {};
+  const own = (Array.isArray(mapData.sprites) ? mapData.sprites : []).filter(sprite => !(sprite.id in changes));
+  const added = Object.values(changes).filter(Boolean);
+  return [...own, ...added];
+}
+
+/**
+* Creates <image> or <foreignObject> with a looping muted video for the sprite
+* @param {MapSprite} sprite
+* @returns {SVGElement}
+*/
+function createSpriteElement(sprite) {
+  const { type, relativePath } = getSpriteMedia(sprite.file);
+  const url = resolveExtensionUrl(relativePath);
+  let element;
+
+  if (type === 'movie') {
+    element = document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject');
+    const video = document.createElement('video');
+    video.src = url;
+    video.autoplay = true;
+    video.loop = true;
+    video.muted = true;
+    video.playsInline = true;
+    video.style.width = '100%';
+    video.style.height = '100%';
+    video.style.objectFit = 'contain';
+    video.addEventListener('error', () => console.error('[Map] Error loading sprite video:', url));
+    element.appendChild(video);
+  } else {
+    element = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+    element.setAttribute('href', url);
+    element.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    element.addEventListener('error', () => console.error('[Map] Error loading sprite image:', url));
+  }
+
+  element.setAttribute('class', 'imap-sprite');
+  element.setAttribute('x', String(sprite.x));
+  element.setAttribute('y', String(sprite.y));
+  element.setAttribute('width', String(sprite.width));
+  element.setAttribute('height', String(sprite.height));
+  if (Number.isFinite(sprite.opacity)) element.setAttribute('opacity', String(sprite.opacity));
+  element.dataset.sprite = sprite.id;
+  return element;
+}
+
+/**
+* Stops sprite videos so that removed elements do not keep decoding
+* @param {Element} root
+*/
+function stopSpriteVideos(root) {
+  root.querySelectorAll('.imap-sprite video').forEach(video => {
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+  });
+}
+
+/**
+* Draws sprites of the current map and its visible layers above the background
+*/
+function renderMapSprites() {
+  const svg = getSvgContainer();
+  const oldLayer = svg?.querySelector('#map-sprite-layer');
+  if (oldLayer) {
+    stopSpriteVideos(oldLayer);
+    oldLayer.remove();
+  }
+
+  const mapData = extensionState.currentMapData;
+  const mapPath = extensionState.currentLoadedMap;
+  if (!svg || !mapData) return;
+
+  const visibleLayers = new Set(describeLayers(mapPath, mapData).filter(layer => layer.visible).map(layer => layer.id));
+  const sprites = getMapSprites(mapPath, mapData).filter(sprite => !sprite.layer || visibleLayers.has(sprite.layer));
+  if (sprites.length === 0) return;
+
+  const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  layer.setAttribute('id', 'map-sprite-layer');
+  layer.setAttribute('aria-hidden', 'true');
+
+  sprites.forEach(sprite => {
+    try {
+      layer.appendChild(createSpriteElement(sprite));
+    } catch (error) {
+      console.warn(`[Map] Sprite "${sprite.id}" skipped:`, error.message);
+    }
+  });
+
+  // Above the background (and a background fading in), below zones
+  const backgrounds = svg.querySelectorAll('image.imap-background');
+  const lastBackground = backgrounds[backgrounds.length - 1];
+  svg.insertBefore(layer, lastBackground ? lastBackground.nextSibling : svg.firstChild);
+
+  applySpriteConditions();
+}
+
+/**
+* Shows and hides sprites with conditions, called by refreshMapConditions()
+*/
+function applySpriteConditions() {
+  const layer = getSvgContainer()?.querySelector('#map-sprite-layer');
+  const mapData = extensionState.currentMapData;
+  if (!layer || !mapData) return;
+
+  const sprites = getMapSprites(extensionState.currentLoadedMap, mapData);
+  layer.querySelectorAll('.imap-sprite').forEach(element => {
+    const sprite = sprites.find(item => item.id === element.dataset.sprite);
+    if (!sprite?.condition) return;
+
+    let shown = false;
+    try {
+      shown = evaluateCondition(sprite.condition);
+    } catch (error) {
+      console.error(`[Map] Error evaluating condition of sprite "${sprite.id}":`, error);
+    }
+    element.style.display = shown ? '' : 'none';
+  });
+}
+
+/**
+* Adds sprite to the open map or replaces the one with the same id
+* @param {MapSprite} sprite
+* @throws {Error} If map is not open or sprite is invalid
+*/
+function addMapSprite(sprite) {
+  const mapPath = extensionState.currentLoadedMap;
+  if (!extensionState.isMapLoaded || !mapPath) {
+    throw new Error('Map window not open');
+  }
+
+  if (!sprite || typeof sprite.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(sprite.id)) {
+    throw new Error('Sprite id must consist of letters, digits, - and _');
+  }
+  if (typeof sprite.file !== 'string' || !sprite.file.trim()) {
+    throw new Error('Sprite file is required');
+  }
+  const numbers = [sprite.x, sprite.y, sprite.width, sprite.height];
+  if (!numbers.every(Number.isFinite) || sprite.width <= 0 || sprite.height <= 0) {
+    throw new Error('Sprite needs numeric x, y and positive width and height');
+  }
+  getSpriteMedia(sprite.file);
+
+  const changes = { ...extensionState.spriteChanges[mapPath], [sprite.id]: { ...sprite } };
+  extensionState.spriteChanges = { ...extensionState.spriteChanges, [mapPath]: changes };
+  saveChatMapState({ sprites: extensionState.spriteChanges });
+  renderMapSprites();
+  startVariableWatcher();
+}
+
+/**
+* Removes sprite from the open map, including sprites defined by the map itself
+* @param {string} spriteId
+* @returns {boolean} false if there is no such sprite
+* @throws {Error} If map is not open
+*/
+function removeMapSprite(spriteId) {
+  const mapPath = extensionState.currentLoadedMap;
+  const mapData = extensionState.currentMapData;
+  if (!extensionState.isMapLoaded || !mapData) {
+    throw new Error('Map window not open');
+  }
+
+  if (!getMapSprites(mapPath, mapData).some(sprite => sprite.id === spriteId)) return false;
+
+  const changes = { ...extensionState.spriteChanges[mapPath] };
+  const ownSprite = Array.isArray(mapData.sprites) && mapData.sprites.some(sprite => sprite.id === spriteId);
+  if (ownSprite) {
+    changes[spriteId] = null;
+  } else {
+    delete changes[spriteId];
+  }
+  extensionState.spriteChanges = { ...extensionState.spriteChanges, [mapPath]: changes };
+  saveChatMapState({ sprites: extensionState.spriteChanges });
+  renderMapSprites();
+  startVariableWatcher();
+  return true;
+}
+
+// ===== 🛤 TRAVEL ROUTES =====
+/**
+* Maps may connect zones in "connections" with travel time (minutes) and distance.
+* /map_route finds the quickest or shortest way between two zones, passing only zones
+* that are not closed by their condition, and can draw it on the map. Exits of the
+* current zone reach the prompt through {{map_exits}}
+*/
+
+/** @typedef {Object} MapConnection
+ *  @property {string} from - Zone id
+ *  @property {string} to - Zone id
+ *  @property {number} [time] - Travel time in minutes
+ *  @property {number} [distance] - Distance in the map's distanceUnit
+ *  @property {boolean} [oneWay] - Travel only from "from" to "to"
+ */
+
+/** @typedef {Object} MapRouteStep
+ *  @property {string} zone - Zone id
+ *  @property {string} name - Zone name
+ *  @property {number} time - Minutes of the leg that leads to this zone (0 for the start)
+ *  @property {number} distance - Distance of that leg
+ */
+
+/** @typedef {Object} MapRoute
+ *  @property {string} from
+ *  @property {string} to
+ *  @property {'time'|'distance'|'steps'} by - What the route is shortest in
+ *  @property {MapRouteStep[]} steps - Zones from start to destination
+ *  @property {number} time - Total minutes
+ *  @property {number} distance - Total distance
+ *  @property {string} unit - distanceUnit of the map
+ */
+
+const ROUTE_WEIGHTS = ['time', 'distance', 'steps'];
+
+/**
+* Legs leaving each zone; connections work both ways unless oneWay
+* @param {Object} mapData - Map as loaded
+* @returns {Map<string, MapConnection[]>} zone id → connections with "from" set to that zone
+*/
+function getTravelGraph(mapData) {
+  const graph = new Map();
+  const addLeg = (from, to, connection) => {
+    if (!graph.has(from)) graph.set(from, []);
+    graph.get(from).push({ ...connection, from, to });
+  };
+
+  (Array.isArray(mapData.connections) ? mapData.connections : []).forEach(connection => {
+    if (!connection || typeof connection.from !== 'string' || typeof connection.to !== 'string') return;
+    addLeg(connection.from, connection.to, connection);
+    if (!connection.oneWay) addLeg(connection.to, connection.from, connection);
+  });
+
+  return graph;
+}
+
+/**
+* Routes are shortest in time when the map has travel times, then in distance, then in steps
+* @param {Object} mapData
+* @returns {'time'|'distance'|'steps'}
+*/
+function getDefaultRouteWeight(mapData) {
+  const connections = Array.isArray(mapData.connections) ? mapData.connections : [];
+  if (connections.some(connection => Number.isFinite(connection?.time))) return 'time';
+  if (connections.some(connection => Number.isFinite(connection?.distance))) return 'distance';
+  return 'steps';
+}
+
+/**
+* @param {MapConnection} leg
+* @param {'time'|'distance'|'steps'} by
+* @returns {number} Legs without the measured value cost nothing
+*/
+function getLegCost(leg, by) {
+  if (by === 'steps') return 1;
+  const value = Number(leg[by]);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+* Zone can be passed through unless its condition hides or disables it
+* @param {MapShape|undefined} shape
+* @returns {boolean}
+*/
+function isZonePassable(shape) {
+  if (!shape) return false;
+  const { state } = getZoneConditionState(shape);
+  return state !== 'hide' && state !== 'disable';
+}
+
+/**
+* Finds the best route between two zones with Dijkstra's algorithm
+* @param {Object} mapData - Map as loaded
+* @param {string} fromId - Zone id
+* @param {string} toId - Zone id
+* @param {'time'|'distance'|'steps'} [by]
+* @returns {MapRoute|null} null if the destination can't be reached
+*/
+function findTravelRoute(mapData, fromId, toId, by = getDefaultRouteWeight(mapData)) {
+  const graph = getTravelGraph(mapData);
+  const shapes = new Map(getAllMapShapes(mapData).map(shape => [shape.id, shape]));
+
+  const cost = new Map([[fromId, 0]]);
+  const arrivedBy = new Map();
+  const done = new Set();
+
+  while (!done.has(toId)) {
+    let current = null;
+    cost.forEach((value, id) => {
+      if (!done.has(id) && (current === null || value < cost.get(current))) current = id;
+    });
+    if (current === null) return null;
+    done.add(current);
+
+    for (const leg of graph.get(current) || []) {
+      if (done.has(leg.to) || !isZonePassable(shapes.get(leg.to))) continue;
+      const next = cost.get(current) + getLegCost(leg, by);
+      if (!cost.has(leg.to) || next < cost.get(leg.to)) {
+        cost.set(leg.to, next);
+        arrivedBy.set(leg.to, leg);
+      }
+    }
+  }
+
+  const legs = [];
+  for (let id = toId; id !== fromId; id = arrivedBy.get(id).from) {
+    legs.unshift(arrivedBy.get(id));
+  }
+
+  const getName = id => shapes.get(id)?.name || id;
+  const steps = [
+    { zone: fromId, name: getName(fromId), time: 0, distance: 0 },
+    ...legs.map(leg => ({
+      zone: leg.to,
+      name: getName(leg.to),
+      time: Number(leg.time) || 0,
+      distance: Number(leg.distance) || 0,
+    })),
+  ];
+
+  return {
+    from: fromId,
+    to: toId,
+    by,
+    steps,
+    time: steps.reduce((sum, step) => sum + step.time, 0),
+    distance: steps.reduce((sum, step) => sum + step.distance, 0),
+    unit: typeof mapData.distanceUnit === 'string' ? mapData.distanceUnit : '',
+  };
+}
+
+/**
+* @param {number} minutes
+* @returns {string} e.g. "20 min", "1 h 15 min"
+*/
+function formatTravelTime(minutes) {
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  return rounded % 60 ? `${hours} h ${rounded % 60} min` : `${hours} h`;
+}
+
+/**
+* Text of a leg: "20 min, 1.5 km", or '' if the connection has neither
+* @param {{time?: number, distance?: number}} leg
+* @param {string} unit
+* @returns {string}
+*/
+function formatTravelLeg(leg, unit) {
+  const parts = [];
+  if (Number(leg.time) > 0) parts.push(formatTravelTime(Number(leg.time)));
+  if (Number(leg.distance) > 0) parts.push(`${Number(Number(leg.distance).toFixed(2))}${unit ? ` ${unit}` : ''}`);
+  return parts.join(', ');
+}
+
+/**
+* Route as text for the chat: "House → Street (5 min) → Magnolia Park (15 min). Total: 20 min"
+* @param {MapRoute} route
+* @returns {string}
+*/
+function formatTravelRoute(route) {
+  const path = route.steps.map((step, i) => {
+    const leg = i > 0 ? formatTravelLeg(step, route.unit) : '';
+    return leg ? `${step.name} (${leg})` : step.name;
+  }).join(' → ');
+
+  const total = formatTravelLeg(route, route.unit);
+  return total ? `${path}. Total: ${total}` : path;
+}
+
+/**
+* Zones reachable from a zone in one leg, for {{map_exits}}
+* @param {Object} mapData - Map as loaded
+* @param {string} zoneId
+* @returns {string} e.g. "Street (5 min), Magnolia Park (20 min)"
+*/
+function describeZoneExits(mapData, zoneId) {
+  const shapes = new Map(getAllMapShapes(mapData).map(shape => [shape.id, shape]));
+  const unit = typeof mapData.distanceUnit === 'string' ? mapData.distanceUnit : '';
+
+  return (getTravelGraph(mapData).get(zoneId) || [])
+    .filter(leg => isZonePassable(shapes.get(leg.to)))
+    .map(leg => {
+      const name = shapes.get(leg.to).name || leg.to;
+      const details = formatTravelLeg(leg, unit);
+      return details ? `${name} (${details})` : name;
+    })
+    .join(', ');
+}
+
+/**
+* Route on the current map between zones given by id or name. Without a starting zone
+* the route starts in the zone last entered in this chat
+* @param {string|null} fromQuery - Zone id or name
+* @param {string} toQuery - Zone id or name
+* @param {'time'|'distance'|'steps'} [by]
+* @returns {Promise<MapRoute|null>} null if the destination can't be reached
+* @throws {Error} If no map is selected or a zone is not found
+*/
+async function planTravelRoute(fromQuery, toQuery, by) {
+  const mapPath = extensionState.currentLoadedMap;
+  if (!mapPath) {
+    throw new Error('No map selected');
+  }
+  if (by !== undefined && !ROUTE_WEIGHTS.includes(by)) {
+    throw new Error(`Unknown route measure "${by}", expected ${ROUTE_WEIGHTS.join('|')}`);
+  }
+
+  const mapData = extensionState.currentMapSource || await loadMapData(mapPath);
+  const zones = { shapes: getAllMapShapes(mapData) };
+  const resolveZone = query => {
+    const index = findZoneIndex(zones, query);
+    if (index === -1) throw new Error(`Zone "${query}" not found on current map`);
+    return zones.shapes[index].id;
+  };
+
+  let fromId;
+  if (fromQuery) {
+    fromId = resolveZone(fromQuery);
+  } else {
+    const state = getChatMapState();
+    if (state?.map !== mapPath || !state.zone) {
+      throw new Error('No zone entered on this map yet, give the starting zone');
+    }
+    fromId = state.zone;
+  }
+
+  return findTravelRoute(mapData, fromId, resolveZone(toQuery), by);
+}
+
+/**
+* Draws route through zone anchors of the open map. Zones not on the current floor are skipped
+* @param {MapRoute|null} route - null removes the drawn route
+*/
+function drawTravelRoute(route) {
+  const svg = getSvgContainer();
+  svg?.querySelector('#map-route-layer')?.remove();
+  if (!svg || !route || !extensionState.isMapLoaded) return;
+
+  const points = route.steps.map(step => getZoneAnchor(step.zone)).filter(Boolean);
+  if (points.length < 2) return;
+
+  const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  layer.setAttribute('id', 'map-route-layer');
+  layer.setAttribute('aria-hidden', 'true');
+
+  const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+  line.setAttribute('class', 'imap-route');
+  line.setAttribute('points', points.map(point => point.join(',')).join(' '));
+  layer.appendChild(line);
+
+  const radius = getMapTokenRadius() * 0.3;
+  points.forEach(([x, y], i) => {
+    const stop = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    stop.setAttribute('class', i === points.length - 1 ? 'imap-route-stop imap-route-end' : 'imap-route-stop');
+    stop.setAttribute('cx', String(x));
+    stop.setAttribute('cy', String(y));
+    stop.setAttribute('r', String(radius));
+    layer.appendChild(stop);
+  });
+
+  // Above zones and fog, below labels and tokens
+  svg.insertBefore(layer, svg.querySelector('#map-label-layer') || svg.querySelector('#map-token-layer'));
+}
+
+// ===== 🔍 ZOOM AND PAN =====
+/**
+* Visible part of the map (the SVG viewBox) and full map size
+*/
+const viewState = {
+  x: 0,
+  y: 0,
+  width: 0,
+  height: 0,
+  baseWidth: 0,
+  baseHeight: 0,
+};
+
+const MAX_MAP_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const PAN_THRESHOLD_PX = 4;
+
+let panState = null;
+let suppressNextMapClick = false;
+
+/**
+* Sets map size and resets the view to the whole map
+* @param {number} width - Background width
+* @param {number} height - Background height
+* @param {string} imagePath - Background URL for the minimap
+* @param {boolean} [keepView] - Keep current view if the size did not change
+*/
+function initMapView(width, height, imagePath, keepView = false) {
+  const sameSize = viewState.baseWidth === width && viewState.baseHeight === height;
+
+  viewState.baseWidth = width;
+  viewState.baseHeight = height;
+
+  const minimapImage = document.querySelector('#mapMinimap image');
+  const minimapSvg = document.querySelector('#mapMinimap svg');
+  if (minimapImage && minimapSvg) {
+    minimapSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    minimapImage.setAttribute('href', imagePath);
+    minimapImage.setAttribute('width', String(width));
+    minimapImage.setAttribute('height', String(height));
+  }
+
+  if (keepView && sameSize && viewState.width > 0) {
+    applyMapView();
+  } else {
+    fitMapToWindow();
+  }
+}
+
+function getMapZoom() {
+  return viewState.width > 0 ? viewState.baseWidth / viewState.width : 1;
+}
+
+/**
+* Keeps the view inside the map and within zoom limits, then updates viewBox
+*/
+function applyMapView() {
+  const { baseWidth, baseHeight } = viewState;
+  if (!baseWidth || !baseHeight) return;
+
+  const minWidth = baseWidth / MAX_MAP_ZOOM;
+  viewState.width = Math.max(minWidth, Math.min(baseWidth, viewState.width));
+  viewState.height = viewState.width * baseHeight / baseWidth;
+  viewState.x = Math.max(0, Math.min(baseWidth - viewState.width, viewState.x));
+  viewState.y = Math.max(0, Math.min(baseHeight - viewState.height, viewState.y));
+
+  const svg = getSvgContainer();
+  if (svg) {
+    svg.setAttribute('viewBox', `${viewState.x} ${viewState.y} ${viewState.width} ${viewState.height}`);
+  }
+
+  updateMinimap();
+
+  if (editorState.active) {
+    renderEditorOverlay();
+  }
+}
+
+/**
+* Zooms keeping the given map point under the cursor
+* @param {number} factor - >1 zooms in, <1 zooms out
+* @param {number} [cx] - Map X to zoom around (center by default)
+* @param {number} [cy] - Map Y to zoom around
+*/
+function zoomMapAt(factor, cx = viewState.x + viewState.width / 2, cy = viewState.y + viewState.height / 2) {
+  const newWidth = viewState.width / factor;
+  const ratio = newWidth / viewState.width;
+
+  viewState.x = cx - (cx - viewState.x) * ratio;
+  viewState.y = cy - (cy - viewState.y) * ratio;
+  viewState.width = newWidth;
+  applyMapView();
+}
+
+function fitMapToWindow() {
+  viewState.x = 0;
+  viewState.y = 0;
+  viewState.width = viewState.baseWidth;
+  applyMapView();
+}
+
+/**
+* Zooms to a rectangle of the map with some padding around it
+* @param {{x: number, y: number, width: number, height: number}} rect
+*/
+function focusMapRect(rect) {
+  const aspect = viewState.baseWidth / viewState.baseHeight;
+  const width = Math.max(rect.width, rect.height * aspect) * 1.4;
+
+  viewState.width = width;
+  applyMapView();
+  viewState.x = rect.x + rect.width / 2 - viewState.width / 2;
+  viewState.y = rect.y + rect.height / 2 - viewState.height / 2;
+  applyMapView();
+}
+
+/**
+* Zooms to zone bounding box
+* @param {string} zoneId
+* @returns {boolean} false if zone not found
+*/
+function focusZone(zoneId) {
+  const shapes = extensionState.currentMapData?.shapes || [];
+  const index = shapes.findIndex(shape => shape.id === zoneId);
+  const path = getSvgContainer()?.querySelector(`.svg-path[data-shape-index="${index}"]`);
+  if (index === -1 || !path || typeof path.getBBox !== 'function') return false;
+
+  focusMapRect(path.getBBox());
+  return true;
+}
+
+/**
+* Map units per screen pixel (viewBox is fitted with "meet")
+* @param {SVGSVGElement} svg
+*/
+function getMapUnitsPerPixel(svg) {
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width || !rect.height) return 1;
+  return Math.max(viewState.width / rect.width, viewState.height / rect.height);
+}
+
+/**
+* Wheel zoom and drag-to-pan on the SVG container. A drag does not trigger zone clicks
+* @param {SVGSVGElement} svg
+*/
+function setupMapViewControls(svg) {
+  if (!svg) return;
+
+  svg.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const [cx, cy] = clientToSvgPoint(svg, e.clientX, e.clientY);
+    zoomMapAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, cx, cy);
+  }, { passive: false });
+
+  svg.addEventListener('pointerdown', (e) => {
+    // In editor mode the left button edits zones, pan with the middle button
+    const canPan = e.button === 1 || (e.button === 0 && !editorState.active);
+    if (!canPan) return;
+
+    panState = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      viewX: viewState.x,
+      viewY: viewState.y,
+      moved: false,
+    };
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!panState || e.pointerId !== panState.pointerId) return;
+
+    const dx = e.clientX - panState.startX;
+    const dy = e.clientY - panState.startY;
+
+    if (!panState.moved) {
+      if (Math.hypot(dx, dy) < PAN_THRESHOLD_PX) return;
+      panState.moved = true;
+      svg.setPointerCapture?.(e.pointerId);
+      svg.style.cursor = 'grabbing';
+    }
+
+    const scale = getMapUnitsPerPixel(svg);
+    viewState.x = panState.viewX - dx * scale;
+    viewState.y = panState.viewY - dy * scale;
+    applyMapView();
+  });
+
+  const endPan = (e) => {
+    if (!panState || e.pointerId !== panState.pointerId) return;
+
+    if (panState.moved) {
+      suppressNextMapClick = true;
+      svg.releasePointerCapture?.(e.pointerId);
+      svg.style.cursor = '';
+    }
+    panState = null;
+  };
+  svg.addEventListener('pointerup', endPan);
+  svg.addEventListener('pointercancel', endPan);
+
+  // Capture phase: swallow the click that ends a drag before zones see it
+  svg.addEventListener('click', (e) => {
+    if (suppressNextMapClick) {
+      suppressNextMapClick = false;
+      e.stopPropagation();
+      e.preventDefault();
+    }
+  }, true);
+}
+
+/**
+* Creates zoom in/out and "fit to window" buttons
+* @returns {HTMLElement}
+*/
+function createZoomControls() {
+  const controls = document.createElement('div');
+  controls.id = 'mapZoomControls';
+  controls.style.position = 'absolute';
+  controls.style.left = '12px';
+  controls.style.bottom = '12px';
+  controls.style.zIndex = '8';
+  controls.style.display = 'flex';
+  controls.style.flexDirection = 'column';
+  controls.style.gap = '6px';
+  controls.style.padding = '6px';
+  controls.style.borderRadius = '6px';
+  controls.style.background = 'rgba(0, 0, 0, 0.5)';
+  controls.style.color = '#fff';
+
+  controls.innerHTML = `
+    <div data-zoom="in" class="fa-solid fa-magnifying-glass-plus hoverglow" title="Zoom in" style="cursor: pointer;"></div>
+    <div data-zoom="out" class="fa-solid fa-magnifying-glass-minus hoverglow" title="Zoom out" style="cursor: pointer;"></div>
+    <div data-zoom="fit" class="fa-solid fa-expand hoverglow" title="Fit to window" style="cursor: pointer;"></div>
+    <div data-zoom="labels" class="fa-solid fa-tag hoverglow" title="Show/hide labels" style="cursor: pointer;"></div>
+  `;
+
+  controls.addEventListener('click', (e) => {
+    const action = /** @type {HTMLElement} */ (e.target).closest('[data-zoom]')?.getAttribute('data-zoom');
+    if (action === 'in') zoomMapAt(ZOOM_STEP);
+    else if (action === 'out') zoomMapAt(1 / ZOOM_STEP);
+    else if (action === 'fit') fitMapToWindow();
+    else if (action === 'labels') setMapSetting('showZoneLabels', !mapSettings.showZoneLabels);
+  });
+  controls.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  return controls;
+}
+
+/**
+* Creates minimap inset with the viewport rectangle. Click or drag on it to move the view
+* @returns {HTMLElement}
+*/
+function createMinimap() {
+  const minimap = document.createElement('div');
+  minimap.id = 'mapMinimap';
+  minimap.style.position = 'absolute';
+  minimap.style.right = '12px';
+  minimap.style.bottom = '12px';
+  minimap.style.width = '160px';
+  minimap.style.zIndex = '8';
+  minimap.style.display = 'none';
+  minimap.style.border = '1px solid rgba(255, 255, 255, 0.7)';
+  minimap.style.borderRadius = '4px';
+  minimap.style.background = 'rgba(0, 0, 0, 0.5)';
+  minimap.style.cursor = 'pointer';
+
+  minimap.innerHTML = `
+    <svg style="display: block; width: 100%; height: auto;" preserveAspectRatio="xMidYMid meet">
+      <image x="0" y="0" preserveAspectRatio="none"></image>
+      <rect data-minimap-view fill="rgba(255, 255, 255, 0.2)" stroke="#FFD700" vector-effect="non-scaling-stroke" stroke-width="2"></rect>
+    </svg>
+  `;
+
+  const svg = /** @type {SVGSVGElement} */ (minimap.querySelector('svg'));
+  const moveViewTo = (e) => {
+    const [x, y] = clientToSvgPoint(svg, e.clientX, e.clientY);
+    viewState.x = x - viewState.width / 2;
+    viewState.y = y - viewState.height / 2;
+    applyMapView();
+  };
+
+  minimap.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    minimap.setPointerCapture?.(e.pointerId);
+    moveViewTo(e);
+  });
+  minimap.addEventListener('pointermove', (e) => {
+    if (e.buttons & 1) moveViewTo(e);
+  });
+  minimap.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  return minimap;
+}
+
+/**
+* Shows minimap while zoomed in and moves its viewport rectangle
+*/
+function updateMinimap() {
+  const minimap = document.getElementById('mapMinimap');
+  if (!minimap) return;
+
+  const visible = mapSettings.showMinimap && getMapZoom() > 1.01;
+  minimap.style.display = visible ? 'block' : 'none';
+  if (!visible) return;
+
+  const rect = minimap.querySelector('[data-minimap-view]');
+  rect.setAttribute('x', String(viewState.x));
+  rect.setAttribute('y', String(viewState.y));
+  rect.setAttribute('width', String(viewState.width));
+  rect.setAttribute('height', String(viewState.height));
+}
+
+// ===== 🌫 FOG OF WAR =====
+/**
+* @typedef {Object} FogOfWarOptions
+* @property {'zones'|'full'} mode - "zones" masks undiscovered zones, "full" covers the whole map except discovered zones
+* @property {string} color
+* @property {number} opacity
+* @property {string[]} revealed - Zones discovered from the start
+*/
+
+/**
+* Reads map-level "fogOfWar" field (true or options object)
+* @param {Object} mapData
+* @returns {FogOfWarOptions|null} null if fog of war is off for this map
+*/
+function getFogOfWarOptions(mapData) {
+  const fog = mapData?.fogOfWar;
+  if (!fog) return null;
+
+  const options = typeof fog === 'object' ? fog : {};
+  return {
+    mode: options.mode === 'full' ? 'full' : 'zones',
+    color: isValidColor(options.color) ? options.color : '#000000',
+    opacity: Number.isFinite(Number(options.opacity)) ? Number(options.opacity) : 0.85,
+    revealed: Array.isArray(options.revealed) ? options.revealed : [],
+  };
+}
+
+/**
+* Returns ids of discovered zones of a map (initially the map's "revealed" list)
+* @param {string} mapPath
+* @param {Object} [mapData]
+* @returns {Set<string>}
+*/
+function getDiscoveredZones(mapPath, mapData = extensionState.currentMapData) {
+  const saved = extensionState.discoveredZones[mapPath];
+  if (Array.isArray(saved)) return new Set(saved);
+  return new Set(getFogOfWarOptions(mapData)?.revealed || []);
+}
+
+/**
+* Reveals or hides zones of the current map and redraws the fog
+* @param {string[]} zoneIds
+* @param {boolean} discovered
+*/
+function setZonesDiscovered(zoneIds, discovered) {
+  const mapPath = extensionState.currentLoadedMap;
+  if (!mapPath) return;
+
+  const zones = getDiscoveredZones(mapPath);
+  zoneIds.forEach(id => discovered ? zones.add(id) : zones.delete(id));
+
+  extensionState.discoveredZones = { ...extensionState.discoveredZones, [mapPath]: [...zones] };
+  renderFogOfWar();
+  renderMapLabels();
+}
+
+/**
+* Draws fog above zones (below tokens). Fog does not catch clicks, so fogged zones
+* can still be visited
+*/
+function renderFogOfWar() {
+  const svg = getSvgContainer();
+  svg?.querySelector('#map-fog-layer')?.remove();
+
+  const mapData = extensionState.currentMapData;
+  const options = getFogOfWarOptions(mapData);
+  if (!svg || !options || editorState.active) return;
+
+  const discovered = getDiscoveredZones(extensionState.currentLoadedMap, mapData);
+  const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  layer.setAttribute('id', 'map-fog-layer');
+  layer.style.pointerEvents = 'none';
+
+  const width = String(mapData.backgroundImage.width);
+  const height = String(mapData.backgroundImage.height);
+
+  if (options.mode === 'full') {
+    const mask = document.createElementNS('http://www.w3.org/2000/svg', 'mask');
+    mask.setAttribute('id', 'map-fog-mask');
+    mask.innerHTML = `<rect x="0" y="0" width="${width}" height="${height}" fill="#fff"></rect>`;
+
+    mapData.shapes.forEach(shape => {
+      if (!discovered.has(shape.id)) return;
+      const hole = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      hole.setAttribute('d', shape.path);
+      hole.setAttribute('fill', '#000');
+      mask.appendChild(hole);
+    });
+
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('fill', options.color);
+    rect.setAttribute('fill-opacity', String(options.opacity));
+    rect.setAttribute('mask', 'url(#map-fog-mask)');
+
+    layer.append(mask, rect);
+  } else {
+    mapData.shapes.forEach((shape, index) => {
+      if (discovered.has(shape.id)) return;
+
+      // Zones hidden by a condition must not show up as fog silhouettes
+      const zone = svg.querySelector(`.svg-path[data-shape-index="${index}"]`);
+      if (zone?.dataset.zoneState === 'hide') return;
+
+      const cloud = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      cloud.setAttribute('d', shape.path);
+      cloud.setAttribute('fill', options.color);
+      cloud.setAttribute('fill-opacity', String(options.opacity));
+      layer.appendChild(cloud);
+    });
+  }
+
+  // Keep fog below labels and tokens
+  const aboveFog = svg.querySelector('#map-label-layer') || svg.querySelector('#map-token-layer');
+  svg.insertBefore(layer, aboveFog);
+}
+
+/**
+* Resolves "all" or a list of zone ids for /map_reveal and /map_hide
+* @param {string} raw
+* @returns {string[]}
+*/
+function parseZoneIdList(raw) {
+  const shapes = extensionState.currentMapData?.shapes || [];
+  if (raw.trim().toLowerCase() === 'all') {
+    return shapes.map(shape => shape.id);
+  }
+  return raw.split(/[\s,]+/).filter(Boolean);
+}
+
+// ===== 🗂 MAP LAYERS =====
+/**
+* A map with "layers" holds several floors and overlays in one file. Floors (layers
+* without "overlay") replace each other together with their background; overlays are
+* drawn on top of the current floor and toggled one by one. Root shapes are shown on
+* every floor. initMap() renders the view of the current floor from getMapLayerView(),
+* so the rest of the extension sees a plain map with one shapes array
+*/
+
+/** @typedef {Object} MapLayer
+ *  @property {string} id
+ *  @property {string} [name]
+ *  @property {boolean} [overlay] - Drawn on top of floors instead of replacing them
+ *  @property {boolean} [visible] - Overlay shown until the chat toggles it
+ *  @property {string[]} [floors] - Floors the overlay belongs to, all by default
+ *  @property {Partial<MapBackground>} [backgroundImage] - Floor background, the map one by default
+ *  @property {MapShape[]} [shapes]
+ */
+
+/** Layer id of each shape of the rendered view, shapes of the map root have none */
+const shapeLayerIds = new WeakMap();
+
+/**
+* @param {Object} mapData
+* @returns {MapLayer[]}
+*/
+function getMapFloors(mapData) {
+  return (Array.isArray(mapData?.layers) ? mapData.layers : []).filter(layer => !layer.overlay);
+}
+
+/**
+* Overlays of the map, only those belonging to the floor if it is given
+* @param {Object} mapData
+* @param {string|null} [floor]
+* @returns {MapLayer[]}
+*/
+function getMapOverlays(mapData, floor) {
+  return (Array.isArray(mapData?.layers) ? mapData.layers : []).filter(layer => layer.overlay
+    && (floor === undefined || !Array.isArray(layer.floors) || layer.floors.includes(floor)));
+}
+
+/**
+* All zones of the map: root shapes and shapes of every layer
+* @param {Object} mapData - Map as loaded, not a layer view
+* @returns {MapShape[]}
+*/
+function getAllMapShapes(mapData) {
+  const layers = Array.isArray(mapData.layers) ? mapData.layers : [];
+  return [...(mapData.shapes || []), ...layers.flatMap(layer => layer.shapes || [])];
+}
+
+/**
+* Background files of the map, of its floors and of its variants
+* @param {Object} mapData - Map as loaded, not a layer view
+* @returns {string[]}
+*/
+function getMapBackgroundFiles(mapData) {
+  const files = [mapData.backgroundImage.file, ...getMapFloors(mapData).map(layer => layer.backgroundImage?.file)];
+  // Backgrounds of variants and of their floors
+  for (const variant of Array.isArray(mapData.variants) ? mapData.variants : []) {
+    files.push(variant.backgroundImage?.file, ...Object.values(variant.floors || {}));
+  }
+  return [...new Set(files.filter(file => typeof file === 'string' && file))];
+}
+
+/**
+* Finds layer by id, or by name if no id matches (case-insensitive)
+* @param {Object} mapData
+* @param {string} query
+* @returns {MapLayer|null}
+*/
+function findMapLayer(mapData, query) {
+  const layers = Array.isArray(mapData?.layers) ? mapData.layers : [];
+  const search = query.trim().toLowerCase();
+
+  return layers.find(layer => layer.id === query.trim())
+    || layers.find(layer => layer.id.toLowerCase() === search
+      || (typeof layer.name === 'string' && layer.name.trim().toLowerCase() === search))
+    || null;
+}
+
+/**
+* Current floor and visible overlays of a map in this chat
+* @param {string} mapPath
+* @param {Object} mapData - Map as loaded
+* @returns {{floor: string|null, overlays: string[]}}
+*/
+function getLayerState(mapPath, mapData) {
+  const saved = extensionState.mapLayers[mapPath] || {};
+  const floors = getMapFloors(mapData);
+  const floor = floors.some(layer => layer.id === saved.floor) ? saved.floor : (floors[0]?.id ?? null);
+  const overlays = Array.isArray(saved.overlays)
+    ? saved.overlays
+    : getMapOverlays(mapData).filter(layer => layer.visible).map(layer => layer.id);
+  return { floor, overlays };
+}
+
+/**
+* Flattens a layered map into the plain map of its current floor: floor background,
+* root shapes, floor shapes and shapes of visible overlays
+* @param {Object} mapData - Map as loaded
+* @param {string} [mapPath]
+* @returns {Object} mapData itself if it has no layers
+*/
+function getMapLayerView(mapData, mapPath = extensionState.currentLoadedMap) {
+  if (!Array.isArray(mapData.layers) || mapData.layers.length === 0) return mapData;
+
+  const { floor, overlays } = getLayerState(mapPath, mapData);
+  const floorLayer = getMapFloors(mapData).find(layer => layer.id === floor);
+  const shown = [
+    ...(floorLayer ? [floorLayer] : []),
+    ...getMapOverlays(mapData, floor).filter(layer => overlays.includes(layer.id)),
+  ];
+
+  const shapes = [...(mapData.shapes || [])];
+  shown.forEach(layer => {
+    (layer.shapes || []).forEach(shape => {
+      shapeLayerIds.set(shape, layer.id);
+      shapes.push(shape);
+    });
+  });
+
+  return {
+    ...mapData,
+    backgroundImage: { ...mapData.backgroundImage, ...floorLayer?.backgroundImage },
+    shapes,
+  };
+}
+
+/**
+* Floors and overlays for /map_info and the API
+* @param {string} mapPath
+* @param {Object} mapData
+* @returns {{id: string, name: string, overlay: boolean, visible: boolean}[]}
+*/
+function describeLayers(mapPath, mapData) {
+  const { floor, overlays } = getLayerState(mapPath, mapData);
+  return (Array.isArray(mapData.layers) ? mapData.layers : []).map(layer => ({
+    id: layer.id,
+    name: layer.name || '',
+    overlay: Boolean(layer.overlay),
+    visible: layer.overlay
+      ? overlays.includes(layer.id) && getMapOverlays(mapData, floor).includes(layer)
+      : layer.id === floor,
+  }));
+}
+
+/**
+* Switches floor or shows/hides an overlay of the open map and redraws it
+* @param {string} query - Layer id or name
+* @param {boolean} [visible] - Overlays only: show or hide, toggles by default
+* @returns {MapLayer}
+* @throws {Error} If map is not open or has no such layer
+*/
+function setMapLayer(query, visible) {
+  const mapData = extensionState.currentMapSource;
+  const mapPath = extensionState.currentLoadedMap;
+  if (!extensionState.isMapLoaded || !mapData) {
+    throw new Error('Map window not open');
+  }
+
+  const layer = findMapLayer(mapData, query);
+  if (!layer) {
+    throw new Error(`Layer "${query}" not found on current map`);
+  }
+
+  const state = getLayerState(mapPath, mapData);
+  let message;
+  if (layer.overlay) {
+    const show = visible ?? !state.overlays.includes(layer.id);
+    state.overlays = show
+      ? [...new Set([...state.overlays, layer.id])]
+      : state.overlays.filter(id => id !== layer.id);
+    message = `${layer.name || layer.id} ${show ? 'shown' : 'hidden'}`;
+  } else {
+    state.floor = layer.id;
+    message = `Floor ${layer.name || layer.id}`;
+  }
+
+  extensionState.mapLayers = { ...extensionState.mapLayers, [mapPath]: state };
+  saveChatMapState({ layers: extensionState.mapLayers });
+
+  // Selected zone may be gone from the new view
+  if (editorState.active) {
+    editorState.selectedIndex = -1;
+    editorState.drawing = false;
+    editorState.draftPoints = [];
+  }
+  initMap(mapData, { keepView: true });
+  if (editorState.active) updateEditorPanel();
+
+  announceMap(message);
+  emitMapEvent(MAP_EVENTS.LAYER_CHANGED, { map: mapPath, floor: state.floor, overlays: [...state.overlays] });
+  return layer;
+}
+
+/**
+* Creates floor switcher and overlay toggles, filled by renderLayerControls()
+* @returns {HTMLElement}
+*/
+function createLayerControls() {
+  const controls = document.createElement('div');
+  controls.id = 'mapLayerControls';
+  controls.style.position = 'absolute';
+  controls.style.left = '12px';
+  controls.style.top = '36px';
+  controls.style.zIndex = '8';
+  controls.style.display = 'none';
+  controls.style.flexDirection = 'column';
+  controls.style.gap = '4px';
+  controls.style.padding = '6px 8px';
+  controls.style.borderRadius = '6px';
+  controls.style.background = 'rgba(0, 0, 0, 0.5)';
+  controls.style.color = '#fff';
+  controls.style.fontSize = '13px';
+
+  const switchLayer = (query, visible) => {
+    try {
+      setMapLayer(query, visible);
+    } catch (error) {
+      console.error('[Map] Error switching layer:', error);
+      if (typeof toastr !== 'undefined') toastr.error(error.message);
+    }
+  };
+
+  controls.addEventListener('click', (e) => {
+    const floor = /** @type {HTMLElement} */ (e.target).closest('[data-floor]')?.getAttribute('data-floor');
+    if (floor) switchLayer(floor);
+  });
+  controls.addEventListener('keydown', (e) => {
+    const floor = /** @type {HTMLElement} */ (e.target).closest('[data-floor]')?.getAttribute('data-floor');
+    if (floor && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      switchLayer(floor);
+    }
+  });
+  controls.addEventListener('change', (e) => {
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    if (input.dataset.overlay) switchLayer(input.dataset.overlay, input.checked);
+  });
+  controls.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  return controls;
+}
+
+/**
+* Fills layer controls for the rendered map, hides them for maps without layers
+*/
+function renderLayerControls() {
+  const controls = document.getElementById('mapLayerControls');
+  if (!controls) return;
+
+  const mapData = extensionState.currentMapSource;
+  controls.innerHTML = '';
+  if (!mapData || !Array.isArray(mapData.layers) || mapData.layers.length === 0) {
+    controls.style.display = 'none';
+    return;
+  }
+
+  const { floor, overlays } = getLayerState(extensionState.currentLoadedMap, mapData);
+
+  getMapFloors(mapData).forEach(layer => {
+    const item = document.createElement('div');
+    item.dataset.floor = layer.id;
+    item.className = 'hoverglow';
+    item.textContent = layer.name || layer.id;
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
+    item.style.cursor = 'pointer';
+    if (layer.id === floor) {
+      item.style.fontWeight = 'bold';
+      item.setAttribute('aria-current', 'true');
+    }
+    controls.append(item);
+  });
+
+  getMapOverlays(mapData, floor).forEach(layer => {
+    const label = document.createElement('label');
+    label.style.display = 'flex';
+    label.style.alignItems = 'center';
+    label.style.gap = '4px';
+    label.style.margin = '0';
+    label.style.cursor = 'pointer';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.overlay = layer.id;
+    input.checked = overlays.includes(layer.id);
+
+    label.append(input, layer.name || layer.id);
+    controls.append(label);
+  });
+
+  controls.style.display = controls.childElementCount > 0 ? 'flex' : 'none';
+}
+
+// ===== 🌗 MAP VARIANTS =====
+/**
+* Variants are alternate looks of one map (day, night, rain, winter...): another
+* background, floor backgrounds and soundtrack over the same zones. The variant is
+* picked with /map_variant, or follows the chat variable named in "variantVariable"
+* until one is picked. The background cross-fades when the variant changes
+*/
+
+/** @typedef {Object} MapVariant
+ *  @property {string} id - Also the variable value that selects it
+ *  @property {string} [name]
+ *  @property {{file: string, alt?: string}} [backgroundImage] - Same size as the map background
+ *  @property {Object<string, string>} [floors] - Floor id → background file of that floor
+ *  @property {string|Object} [mapSound]
+ *  @property {string|Object} [mapAmbience]
+ */
+
+/**
+* Finds variant by id, or by name if no id matches (case-insensitive)
+* @param {Object} mapData
+* @param {string} query
+* @returns {MapVariant|null}
+*/
+function findMapVariant(mapData, query) {
+  const variants = Array.isArray(mapData?.variants) ? mapData.variants : [];
+  const search = query.trim().toLowerCase();
+
+  return variants.find(variant => variant.id === query.trim())
+    || variants.find(variant => variant.id.toLowerCase() === search
+      || (typeof variant.name === 'string' && variant.name.trim().toLowerCase() === search))
+    || null;
+}
+
+/**
+* Variant of a map to show now: the one picked in this chat, otherwise the one
+* named by the value of the map's variantVariable
+* @param {string} mapPath
+* @param {Object} mapData - Map as loaded
+* @returns {MapVariant|null} null for the default look
+*/
+function getActiveVariant(mapPath, mapData) {
+  const picked = extensionState.mapVariants[mapPath];
+  if (typeof picked === 'string') {
+    return picked ? findMapVariant(mapData, picked) : null;
+  }
+
+  if (typeof mapData.variantVariable !== 'string' || !mapData.variantVariable) return null;
+  const value = getMapVariable(mapData.variantVariable);
+  return value === undefined || value === null || String(value).trim() === ''
+    ? null
+    : findMapVariant(mapData, String(value));
+}
+
+/**
+* Map with backgrounds and soundtrack of the variant
+* @param {Object} mapData - Map as loaded
+* @param {MapVariant|null} variant
+* @returns {Object} mapData itself for the default look
+*/
+function applyMapVariant(mapData, variant) {
+  if (!variant) return mapData;
+
+  const floors = variant.floors && typeof variant.floors === 'object' ? variant.floors : {};
+  return {
+    ...mapData,
+    backgroundImage: { ...mapData.backgroundImage, ...variant.backgroundImage },
+    layers: Array.isArray(mapData.layers)
+      ? mapData.layers.map(layer => (floors[layer.id]
+        ? { ...layer, backgroundImage: { ...layer.backgroundImage, file: floors[layer.id] } }
+        : layer))
+      : mapData.layers,
+    mapSound: variant.mapSound ?? mapData.mapSound,
+    mapAmbience: variant.mapAmbience ?? mapData.mapAmbience,
+  };
+}
+
+/**
+* Creates background <image> of the map
+* @param {string} imagePath - Resolved URL
+* @param {MapBackground} background
+* @returns {SVGImageElement}
+*/
+function createMapBackground(imagePath, background) {
+  const imageElement = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+  imageElement.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', imagePath);
+  imageElement.setAttribute('class', 'imap-background');
+  imageElement.setAttribute('x', '0');
+  imageElement.setAttribute('y', '0');
+  imageElement.setAttribute('width', String(background.width));
+  imageElement.setAttribute('height', String(background.height));
+  imageElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+  imageElement.addEventListener('error', () => {
+    console.error('[Map] Error loading image:', imagePath);
+    if (typeof toastr !== 'undefined') toastr.error('Error loading image');
+  });
+
+  return imageElement;
+}
+
+/**
+* Fades the new background in over the current one
+* @param {string} imagePath - Resolved URL
+* @param {MapBackground} background
+*/
+function crossfadeMapBackground(imagePath, background) {
+  const svg = getSvgContainer();
+  const current = svg ? [...svg.querySelectorAll('image.imap-background')].pop() : null;
+  if (!current) return;
+
+  const next = createMapBackground(imagePath, background);
+  const duration = mapSettings.backgroundFadeDuration;
+  next.style.opacity = '0';
+  next.style.transition = `opacity ${duration}ms ease-in-out`;
+  current.after(next);
+
+  // Layout must see opacity 0 before the transition starts
+  void next.getBoundingClientRect();
+  next.style.opacity = '1';
+  setTimeout(() => current.remove(), duration);
+
+  const minimapImage = document.querySelector('#mapMinimap image');
+  if (minimapImage) minimapImage.setAttribute('href', imagePath);
+}
+
+/**
+* Brings the open map to its active variant: cross-fades the background and
+* switches the soundtrack. Called when a variant is picked and by refreshMapConditions()
+*/
+async function updateMapVariant() {
+  const mapSource = extensionState.currentMapSource;
+  const mapPath = extensionState.currentLoadedMap;
+  if (!extensionState.isMapLoaded || !mapSource || !Array.isArray(mapSource.variants)) return;
+
+  const variant = getActiveVariant(mapPath, mapSource);
+  const variantId = variant?.id ?? '';
+  if (variantId === extensionState.currentVariantId) return;
+
+  extensionState.currentVariantId = variantId;
+  const view = getMapLayerView(applyMapVariant(mapSource, variant));
+  extensionState.currentMapData = { ...extensionState.currentMapData, backgroundImage: view.backgroundImage };
+
+  crossfadeMapBackground(resolveAssetPath(view.backgroundImage.file), view.backgroundImage);
+  emitMapEvent(MAP_EVENTS.VARIANT_CHANGED, { map: mapPath, variant: variantId });
+  if (mapSettings.debugMode) console.log(`[Map] Variant: ${variantId || '(default)'}`);
+
+  await playMapSoundtrack(view);
+}
+
+/**
+* Picks variant of the open map for this chat
+* @param {string} query - Variant id or name, "default" for the map's own look, "auto" to follow variantVariable
+* @returns {Promise<MapVariant|null>} Active variant
+* @throws {Error} If map is not open or has no such variant
+*/
+async function setMapVariant(query) {
+  const mapSource = extensionState.currentMapSource;
+  const mapPath = extensionState.currentLoadedMap;
+  if (!extensionState.isMapLoaded || !mapSource) {
+    throw new Error('Map window not open');
+  }
+
+  const variant = findMapVariant(mapSource, query);
+  const keyword = query.trim().toLowerCase();
+  if (!variant && keyword !== 'default' && keyword !== 'auto') {
+    throw new Error(`Variant "${query}" not found on current map`);
+  }
+
+  const picks = { ...extensionState.mapVariants };
+  if (variant) {
+    picks[mapPath] = variant.id;
+  } else if (keyword === 'default') {
+    picks[mapPath] = '';
+  } else {
+    delete picks[mapPath];
+  }
+  extensionState.mapVariants = picks;
+  saveChatMapState({ variants: extensionState.mapVariants });
+
+  await updateMapVariant();
+  return getActiveVariant(mapPath, mapSource);
+}
+
+// ===== MAP CLEANUP FUNCTION =====
+/**
+* Clears map and removes event handlers to prevent memory leaks
+*/
+function clearMap() {
+    const svgContainer = document.getElementById('svg-container');
+    if (svgContainer) {
+        const paths = svgContainer.querySelectorAll('.svg-path');
+        paths.forEach(path => {
+            if (path._boundClick) {
+                path.removeEventListener('click', path._boundClick);
+            }
+            if (path._boundMouseOver) {
+                path.removeEventListener('mouseover', path._boundMouseOver);
+            }
+            if (path._boundMouseOut) {
+                path.removeEventListener('mouseout', path._boundMouseOut);
+            }
+            teardownZoneHoverCard(path);
+            if (path._boundFocus) {
+                path.removeEventListener('focus', path._boundFocus);
+                path.removeEventListener('blur', path._boundBlur);
+                path.removeEventListener('keydown', path._boundKeyDown);
+            }
+            delete path._boundClick;
+            delete path._boundMouseOver;
+            delete path._boundMouseOut;
+            delete path._boundFocus;
+            delete path._boundBlur;
+            delete path._boundKeyDown;
+        });
+
+        stopSpriteVideos(svgContainer);
+        svgContainer.innerHTML = '';
+    }
+
+    hideHoverCard();
+    stopVariableWatcher();
+
+    extensionState.isMapLoaded = false;
+    extensionState.currentMapElement = null;
+    extensionState.currentMapData = null;
+    extensionState.currentMapSource = null;
+    renderLayerControls();
+
+    if (mapSettings.debugMode) {
+        console.log('[Map] Map cleared');
+    }
+}
+
+/**
+* Initializes SVG map with background and interactive zones
+* @param {Object} svgData - Object with backgroundImage and shapes
+* @throws {Error} If container not found or initialization error occurs
+*/
+function getSvgContainer() {
+  return /** @type {SVGSVGElement | null} */ (
+    document.querySelector(SELECTORS.SVG_CONTAINER)
+  );
+}
+
+function getMapSelect() {
+  return /** @type {HTMLSelectElement | null} */ (
+    document.querySelector(SELECTORS.MAP_SELECTIONS)
+  );
+}
+
+/**
+* Renders map into the SVG container. Layered maps are rendered at their current floor
+* @param {Object} mapSource - Map data
+* @param {{keepView?: boolean}} [options] - keepView: keep zoom and pan (re-render of the same map)
+*/
+function initMap(mapSource, options = {}) {
+  const svgElement = getSvgContainer();
+  if (!svgElement) {
+    console.error('[Map] SVG container not found');
+    if (typeof toastr !== 'undefined') toastr.error('Map container not found');
+    return;
+  }
+
+  try {
+    // Clear previous map
+    clearMap();
+    
+    const variant = getActiveVariant(extensionState.currentLoadedMap, mapSource);
+    const svgData = getMapLayerView(applyMapVariant(mapSource, variant));
+    const imagePath = resolveAssetPath(svgData.backgroundImage.file);
+    svgElement.appendChild(createMapBackground(imagePath, svgData.backgroundImage));
+    
+    const width = parseInt(svgData.backgroundImage.width);
+    const height = parseInt(svgData.backgroundImage.height);
+    if (!isNaN(width) && !isNaN(height) && width > 0 && height > 0) {
+      initMapView(width, height, imagePath, options.keepView);
+    }
+    
+    // Zones of each layer go to their own group, root zones stay direct children
+    const fragment = document.createDocumentFragment();
+    const layerGroups = new Map();
+    svgData.shapes.forEach((shape, index) => {
+      const layerId = shapeLayerIds.get(shape);
+      if (layerId && !layerGroups.has(layerId)) {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('class', 'imap-layer');
+        group.dataset.layer = layerId;
+        layerGroups.set(layerId, group);
+        fragment.appendChild(group);
+      }
+      (layerId ? layerGroups.get(layerId) : fragment).appendChild(createInteractivePath(shape, index));
+    });
+    svgElement.appendChild(fragment);
+    
+    extensionState.isMapLoaded = true;
+    extensionState.currentMapElement = svgElement;
+    extensionState.currentMapData = svgData;
+    extensionState.currentMapSource = mapSource;
+    extensionState.currentVariantId = variant?.id ?? '';
+    renderLayerControls();
+    renderMapSprites();
+
+    const mapLabel = svgData.metadata?.name || getMapLabel(extensionState.currentLoadedMap);
+    svgElement.setAttribute('aria-label', `Map: ${mapLabel}`);
+    applyZoneStyleSettings(svgElement, svgData);
+
+    if (editorState.active) {
+      stopVariableWatcher();
+      renderEditorOverlay();
+    } else {
+      applyZoneConditions();
+      startVariableWatcher();
+      renderFogOfWar();
+      renderMapTokens();
+      renderMapLabels();
+    }
+    // Editor re-renders keep the view and are not announced
+    if (!options.keepView) {
+      const zoneCount = svgElement.querySelectorAll('.svg-path:not([aria-hidden="true"])').length;
+      announceMap(`Map ${mapLabel} loaded, ${zoneCount} zones. Use Tab or arrow keys to move between zones, Enter to open one`);
+    }
+    if (mapSettings.debugMode) {
+      console.log(`[Map] Initialization complete. Zones: ${svgData.shapes.length}`);
+    }
+  } catch (error) {
+    console.error('[Map] Initialization error:', error);
+    if (typeof toastr !== 'undefined') toastr.error('Map initialization error');
+    extensionState.isMapLoaded = false;
+  }
+}
+
+// ===== ✏️ ZONE EDITOR =====
+/**
+* Editor state. The editor works on a copy of the loaded map so that
+* nothing changes in the cache until the user leaves edit mode.
+*/
+const editorState = {
+  active: false,
+  mapData: null,      // Working copy of the map being edited
+  selectedIndex: -1,  // Index of the selected shape in getEditorShapes()
+  drawing: false,     // True while a new zone is being traced
+  draftPoints: [],    // Vertices of the zone being traced
+  drag: null,         // { pointIndex } while a vertex is dragged
+};
+
+let editorPanelElement = null;
+
+const EDITOR_DEFAULT_COLOR = '#FF00FF';
+
+/**
+* Parses an M/L/Z polygon path into a list of points.
+* Curves and other commands are not editable.
+* @param {string} d - SVG path data
+* @returns {Array<[number, number]>|null} Points or null if the path is not a polygon
+*/
+function parsePolygonPath(d) {
+  if (typeof d !== 'string' || /[^MLZmlz\s\d.,eE+-]/.test(d)) {
+    return null;
+  }
+
+  const tokens = d.match(/[MLZmlz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const points = [];
+  let command = null;
+  let x = 0;
+  let y = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (/^[MLZmlz]$/.test(token)) {
+      command = token;
+      if (command === 'Z' || command === 'z') {
+        // Polygon is always closed; anything after Z is not supported
+        return i === tokens.length - 1 && points.length >= 3 ? points : null;
+      }
+      continue;
+    }
+
+    const nx = Number(token);
+    const ny = Number(tokens[i + 1]);
+    if (!command || !Number.isFinite(nx) || !Number.isFinite(ny)) {
+      return null;
+    }
+    i++;
+
+    const relative = command === 'm' || command === 'l';
+    x = relative ? x + nx : nx;
+    y = relative ? y + ny : ny;
+    points.push([x, y]);
+
+    // Implicit coordinates after M are treated as L
+    if (command === 'M') command = 'L';
+    if (command === 'm') command = 'l';
+  }
+
+  return points.length >= 3 ? points : null;
+}
+
+/**
+* Converts points to path in the same notation as tools/SVG Points M-L-Z.html
+* @param {Array<[number, number]>} points
+* @returns {string} Path like "M 10, 10 L 100, 10 L 100, 100 Z"
+*/
+function pointsToPath(points) {
+  const parts = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${Math.round(x)}, ${Math.round(y)}`);
+  return `${parts.join(' ')} Z`;
+}
+
+/**
+* Converts mouse coordinates to SVG user coordinates (respects viewBox)
+* @param {SVGSVGElement} svg
+* @param {number} clientX
+* @param {number} clientY
+* @returns {[number, number]}
+*/
+function clientToSvgPoint(svg, clientX, clientY) {
+  const ctm = svg.getScreenCTM();
+  if (!ctm) return [clientX, clientY];
+
+  const pt = svg.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  const local = pt.matrixTransform(ctm.inverse());
+  return [local.x, local.y];
+}
+
+/**
+* Handle radius in SVG units so handles look the same at any map size
+* @param {SVGSVGElement} svg
+* @returns {number}
+*/
+function getEditorHandleRadius(svg) {
+  const ctm = svg.getScreenCTM();
+  const scale = ctm && ctm.a ? ctm.a : 1;
+  return 6 / scale;
+}
+
+function getEditorLayer(svg) {
+  let layer = svg.querySelector('#map-editor-layer');
+  if (!layer) {
+    layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    layer.setAttribute('id', 'map-editor-layer');
+    svg.appendChild(layer);
+  }
+  return layer;
+}
+
+function createEditorHandle(x, y, r, kind, pointIndex) {
+  const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+  circle.setAttribute('cx', String(x));
+  circle.setAttribute('cy', String(y));
+  circle.setAttribute('r', String(kind === 'midpoint' ? r * 0.7 : r));
+  circle.setAttribute('fill', kind === 'midpoint' ? 'rgba(255,255,255,0.6)' : '#fff');
+  circle.setAttribute('stroke', '#000');
+  circle.setAttribute('stroke-width', String(r / 3));
+  circle.style.cursor = kind === 'midpoint' ? 'copy' : 'move';
+  circle.dataset.editorHandle = kind;
+  circle.dataset.pointIndex = String(pointIndex);
+  return circle;
+}
+
+/**
+* Redraws vertex handles of the selected zone and the zone being traced
+*/
+function renderEditorOverlay() {
+  const svg = getSvgContainer();
+  if (!svg || !editorState.active) return;
+
+  const layer = getEditorLayer(svg);
+  layer.innerHTML = '';
+  // Keep handles above zones
+  svg.appendChild(layer);
+
+  const r = getEditorHandleRadius(svg);
+
+  svg.querySelectorAll('.svg-path').forEach(path => {
+    const selected = Number(path.dataset.shapeIndex) === editorState.selectedIndex;
+    path.setAttribute('stroke', selected ? '#FFD700' : 'rgba(255,255,255,0.7)');
+    path.setAttribute('stroke-width', String(selected ? r / 2 : r / 4));
+  });
+
+  if (editorState.drawing) {
+    const points = editorState.draftPoints;
+    if (points.length > 0) {
+      const polyline = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+      polyline.setAttribute('points', points.map(p => p.join(',')).join(' '));
+      polyline.setAttribute('fill', 'none');
+      polyline.setAttribute('stroke', '#FFD700');
+      polyline.setAttribute('stroke-width', String(r / 2));
+      polyline.setAttribute('stroke-dasharray', `${r} ${r / 2}`);
+      polyline.style.pointerEvents = 'none';
+      layer.appendChild(polyline);
+    }
+    points.forEach(([x, y], i) => layer.appendChild(createEditorHandle(x, y, r, 'draft', i)));
+    return;
+  }
+
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  if (!shape) return;
+
+  const points = parsePolygonPath(shape.path);
+  if (!points) return;
+
+  points.forEach(([x, y], i) => {
+    const [nx, ny] = points[(i + 1) % points.length];
+    layer.appendChild(createEditorHandle((x + nx) / 2, (y + ny) / 2, r, 'midpoint', i + 1));
+  });
+  points.forEach(([x, y], i) => layer.appendChild(createEditorHandle(x, y, r, 'vertex', i)));
+}
+
+/**
+* Writes new points to the selected shape and its path element
+* @param {Array<[number, number]>} points
+*/
+function updateSelectedShapePoints(points) {
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  if (!shape) return;
+
+  shape.path = pointsToPath(points);
+
+  const svg = getSvgContainer();
+  const path = svg?.querySelector(`.svg-path[data-shape-index="${editorState.selectedIndex}"]`);
+  if (path) {
+    path.setAttribute('d', shape.path);
+  }
+
+  renderEditorOverlay();
+}
+
+function editorHandleZoneClick(event) {
+  if (editorState.drawing) return;
+
+  const index = Number(event.currentTarget?.dataset?.shapeIndex ?? event.target?.dataset?.shapeIndex);
+  if (!Number.isInteger(index)) return;
+
+  selectEditorShape(index);
+}
+
+function selectEditorShape(index) {
+  editorState.selectedIndex = index;
+
+  const shape = getEditorShapes()[index];
+  if (shape && !parsePolygonPath(shape.path) && typeof toastr !== 'undefined') {
+    toastr.warning('Only M/L/Z polygon outlines can be edited point by point');
+  }
+
+  renderEditorOverlay();
+  updateEditorPanel();
+}
+
+function onEditorPointerDown(event) {
+  const svg = getSvgContainer();
+  if (!svg || event.button === 2) return;
+
+  const handle = event.target?.dataset?.editorHandle;
+  const [x, y] = clientToSvgPoint(svg, event.clientX, event.clientY);
+
+  if (editorState.drawing) {
+    event.preventDefault();
+    const points = editorState.draftPoints;
+
+    // Clicking the first vertex closes the zone
+    if (handle === 'draft' && event.target.dataset.pointIndex === '0' && points.length >= 3) {
+      finishEditorDrawing();
+      return;
+    }
+
+    points.push([x, y]);
+    renderEditorOverlay();
+    return;
+  }
+
+  if (!handle) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  const points = shape ? parsePolygonPath(shape.path) : null;
+  if (!points) return;
+
+  let pointIndex = Number(event.target.dataset.pointIndex);
+
+  if (handle === 'vertex' && event.altKey) {
+    removeEditorPoint(pointIndex);
+    return;
+  }
+
+  if (handle === 'midpoint') {
+    points.splice(pointIndex, 0, [x, y]);
+    updateSelectedShapePoints(points);
+  }
+
+  editorState.drag = { pointIndex };
+  svg.setPointerCapture?.(event.pointerId);
+}
+
+function onEditorPointerMove(event) {
+  if (!editorState.drag) return;
+
+  const svg = getSvgContainer();
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  const points = shape ? parsePolygonPath(shape.path) : null;
+  if (!svg || !points) return;
+
+  event.preventDefault();
+  points[editorState.drag.pointIndex] = clientToSvgPoint(svg, event.clientX, event.clientY);
+  updateSelectedShapePoints(points);
+}
+
+function onEditorPointerUp(event) {
+  if (!editorState.drag) return;
+
+  editorState.drag = null;
+  getSvgContainer()?.releasePointerCapture?.(event.pointerId);
+  updateEditorPanel();
+}
+
+function onEditorContextMenu(event) {
+  if (event.target?.dataset?.editorHandle !== 'vertex') return;
+
+  event.preventDefault();
+  removeEditorPoint(Number(event.target.dataset.pointIndex));
+}
+
+function onEditorDoubleClick(event) {
+  if (!editorState.drawing) return;
+
+  event.preventDefault();
+  // The second click of the double click already added a duplicate vertex
+  editorState.draftPoints.pop();
+  finishEditorDrawing();
+}
+
+function removeEditorPoint(pointIndex) {
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  const points = shape ? parsePolygonPath(shape.path) : null;
+  if (!points) return;
+
+  if (points.length <= 3) {
+    if (typeof toastr !== 'undefined') toastr.warning('A zone needs at least 3 points');
+    return;
+  }
+
+  points.splice(pointIndex, 1);
+  updateSelectedShapePoints(points);
+  updateEditorPanel();
+}
+
+/**
+* Zones the editor works with: shapes of the map, or of the current floor of a layered map.
+* Indexes match data-shape-index of the rendered paths
+* @returns {MapShape[]}
+*/
+function getEditorShapes() {
+  return editorState.mapData ? extensionState.currentMapData?.shapes || [] : [];
+}
+
+/**
+* Array new zones are added to: shapes of the current floor, or of the map root
+* @returns {MapShape[]}
+*/
+function getEditorShapeList() {
+  const mapData = editorState.mapData;
+  const { floor } = getLayerState(extensionState.currentLoadedMap, mapData);
+  const owner = getMapFloors(mapData).find(layer => layer.id === floor) || mapData;
+  if (!Array.isArray(owner.shapes)) owner.shapes = [];
+  return owner.shapes;
+}
+
+/**
+* Generates a zone id that is not used on the map yet
+* @returns {string}
+*/
+function getNextEditorZoneId() {
+  const shapes = getAllMapShapes(editorState.mapData);
+  const used = new Set(shapes.map(s => s.id));
+  let n = shapes.length + 1;
+  while (used.has(`zone-${n}`)) n++;
+  return `zone-${n}`;
+}
+
+function startEditorDrawing() {
+  editorState.drawing = true;
+  editorState.draftPoints = [];
+  editorState.selectedIndex = -1;
+  renderEditorOverlay();
+  updateEditorPanel();
+}
+
+function finishEditorDrawing() {
+  const points = editorState.draftPoints;
+
+  if (points.length < 3) {
+    if (typeof toastr !== 'undefined') toastr.warning('Click at least 3 points to create a zone');
+    return;
+  }
+
+  const id = getNextEditorZoneId();
+  const name = `Zone ${id.slice(5)}`;
+  const shape = {
+    id,
+    type: 'custom',
+    name,
+    tooltip: name,
+    path: pointsToPath(points),
+    color: EDITOR_DEFAULT_COLOR,
+    opacity: mapSettings.hoverOpacity,
+    script: `/echo ${name}`,
+  };
+  getEditorShapeList().push(shape);
+
+  editorState.drawing = false;
+  editorState.draftPoints = [];
+  editorState.selectedIndex = getMapLayerView(editorState.mapData).shapes.indexOf(shape);
+
+  initMap(editorState.mapData, { keepView: true });
+  updateEditorPanel();
+}
+
+function cancelEditorDrawing() {
+  editorState.drawing = false;
+  editorState.draftPoints = [];
+  renderEditorOverlay();
+  updateEditorPanel();
+}
+
+function deleteSelectedEditorShape() {
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  if (!shape) return;
+
+  const mapData = editorState.mapData;
+  if (getAllMapShapes(mapData).length === 1) {
+    if (typeof toastr !== 'undefined') toastr.warning('A map needs at least one zone');
+    return;
+  }
+
+  // Shape lives in the root shapes or in one of the layers
+  const owner = [mapData, ...(mapData.layers || [])].find(item => item.shapes?.includes(shape));
+  owner.shapes.splice(owner.shapes.indexOf(shape), 1);
+  if (owner === mapData && owner.shapes.length === 0 && Array.isArray(mapData.layers)) {
+    delete mapData.shapes;
+  }
+  editorState.selectedIndex = -1;
+
+  initMap(editorState.mapData, { keepView: true });
+  updateEditorPanel();
+}
+
+/**
+* Returns edited map JSON, with metadata.updated set to today
+* @returns {string}
+*/
+function getEditorMapJson() {
+  const map = editorState.mapData;
+  if (map.metadata && typeof map.metadata === 'object') {
+    map.metadata.updated = new Date().toISOString().slice(0, 10);
+  }
+  return JSON.stringify(map, null, '\t');
+}
+
+async function copyEditorMapJson() {
+  try {
+    await navigator.clipboard.writeText(getEditorMapJson());
+    if (typeof toastr !== 'undefined') toastr.success('Map JSON copied to clipboard');
+  } catch (error) {
+    console.error('[Map] Error copying map JSON:', error);
+    if (typeof toastr !== 'undefined') toastr.error('Could not copy map JSON');
+  }
+}
+
+function downloadEditorMapJson() {
+  const blob = new Blob([getEditorMapJson()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${getMapLabel(extensionState.currentLoadedMap)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const EDITOR_FIELDS = ['id', 'name', 'type', 'tooltip', 'description', 'thumbnail', 'hint', 'color', 'script'];
+
+/**
+* Creates side form of the editor inside the map window
+* @returns {HTMLElement|null}
+*/
+function getOrCreateEditorPanel() {
+  const container = document.querySelector('#map .dragContent') || document.getElementById('map');
+  if (!container) return null;
+
+  if (editorPanelElement && container.contains(editorPanelElement)) {
+    return editorPanelElement;
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'mapEditorPanel';
+  panel.style.position = 'absolute';
+  panel.style.top = '40px';
+  panel.style.right = '8px';
+  panel.style.bottom = '8px';
+  panel.style.width = '240px';
+  panel.style.overflowY = 'auto';
+  panel.style.zIndex = '12';
+  panel.style.padding = '8px';
+  panel.style.borderRadius = '8px';
+  panel.style.background = 'var(--SmartThemeBlurTintColor, rgba(0,0,0,0.8))';
+  panel.style.color = 'var(--SmartThemeBodyColor, #fff)';
+  panel.style.fontSize = '13px';
+
+  panel.innerHTML = `
+    <b>✏️ Zone editor</b>
+    <div class="flex-container flexGap5" style="margin: 6px 0;">
+      <div data-editor-action="new" class="menu_button">New zone</div>
+      <div data-editor-action="finish" class="menu_button">Finish</div>
+      <div data-editor-action="cancel" class="menu_button">Cancel</div>
+    </div>
+    <div data-editor-status style="margin-bottom: 6px; opacity: 0.8;"></div>
+    <div data-editor-form>
+      ${EDITOR_FIELDS.map(field => `
+        <label style="display: block; margin-top: 4px;">${field}
+          ${field === 'script' || field === 'description'
+            ? `<textarea data-editor-field="${field}" class="text_pole" rows="3"></textarea>`
+            : `<input data-editor-field="${field}" class="text_pole" type="text">`}
+        </label>`).join('')}
+      <div data-editor-action="delete" class="menu_button" style="margin-top: 6px;">Delete zone</div>
+    </div>
+    <hr>
+    <div class="flex-container flexGap5">
+      <div data-editor-action="copy" class="menu_button">Copy JSON</div>
+      <div data-editor-action="download" class="menu_button">Download</div>
+      <div data-editor-action="exit" class="menu_button">Exit</div>
+    </div>
+    <small style="display: block; margin-top: 6px; opacity: 0.7;">
+      Click a zone to select it. Drag points to move them, drag midpoints to insert,
+      Alt+click or right-click a point to delete it. Double-click or click the first point to finish a new zone.
+    </small>
+  `;
+
+  panel.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-editor-action]')?.dataset.editorAction;
+    switch (action) {
+      case 'new': startEditorDrawing(); break;
+      case 'finish': finishEditorDrawing(); break;
+      case 'cancel': cancelEditorDrawing(); break;
+      case 'delete': deleteSelectedEditorShape(); break;
+      case 'copy': copyEditorMapJson(); break;
+      case 'download': downloadEditorMapJson(); break;
+      case 'exit': stopZoneEditor(); break;
+    }
+  });
+
+  panel.addEventListener('input', (e) => {
+    const field = e.target?.dataset?.editorField;
+    if (!field) return;
+
+    const error = applyEditorField(field, e.target.value);
+    e.target.setCustomValidity(error);
+    e.target.title = error;
+  });
+
+  // A rejected id is put back when the field is left
+  panel.addEventListener('change', (e) => {
+    const input = e.target;
+    if (input?.dataset?.editorField !== 'id' || !input.validationMessage) return;
+
+    if (typeof toastr !== 'undefined') toastr.warning(input.validationMessage);
+    input.setCustomValidity('');
+    input.title = '';
+    input.value = getEditorShapes()[editorState.selectedIndex]?.id ?? '';
+  });
+
+  // Keep the draggable window from starting a drag on form input
+  panel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  container.appendChild(panel);
+  editorPanelElement = panel;
+  return panel;
+}
+
+/**
+* Checks a zone id typed in the editor against the schema pattern and the other zones of all layers
+* @param {MapShape} shape - Zone being renamed
+* @param {string} id
+* @returns {string} Why the id cannot be used, empty if it can
+*/
+function getEditorZoneIdError(shape, id) {
+  if (!id) return 'Zone id cannot be empty';
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) return 'Zone id may contain only letters, digits, "-" and "_"';
+  if (getAllMapShapes(editorState.mapData).some(other => other !== shape && other.id === id)) {
+    return `Zone id "${id}" is already used`;
+  }
+  return '';
+}
+
+/**
+* Applies a value from the form to the selected shape. An invalid id is not applied
+* @param {string} field
+* @param {string} value
+* @returns {string} Why the value was rejected, empty if it was applied
+*/
+function applyEditorField(field, value) {
+  const shape = getEditorShapes()[editorState.selectedIndex];
+  if (!shape) return '';
+
+  if (field === 'id') {
+    const error = getEditorZoneIdError(shape, value);
+    if (error) return error;
+  }
+
+  shape[field] = value;
+
+  const svg = getSvgContainer();
+  const path = svg?.querySelector(`.svg-path[data-shape-index="${editorState.selectedIndex}"]`);
+  if (!path) return '';
+
+  if (field === 'id') {
+    path.setAttribute('id', value);
+  } else if (field === 'color' && isValidColor(value)) {
+    path.dataset.originalColor = value;
+    applyZoneStyle(path, shape);
+  } else if (field === 'script') {
+    path.dataset.script = value;
+  }
+  return '';
+}
+
+function updateEditorPanel() {
+  const panel = editorPanelElement;
+  if (!panel) return;
+
+  const status = panel.querySelector('[data-editor-status]');
+  const form = /** @type {HTMLElement} */ (panel.querySelector('[data-editor-form]'));
+  const shape = getEditorShapes()[editorState.selectedIndex];
+
+  if (editorState.drawing) {
+    status.textContent = `Tracing new zone: ${editorState.draftPoints.length} point(s)`;
+  } else if (shape) {
+    const points = parsePolygonPath(shape.path);
+    status.textContent = points ? `${points.length} point(s)` : 'Outline is not an M/L/Z polygon';
+  } else {
+    status.textContent = `${getEditorShapes().length} zone(s). Select one or add a new zone.`;
+  }
+
+  form.style.display = shape && !editorState.drawing ? 'block' : 'none';
+  if (!shape) return;
+
+  EDITOR_FIELDS.forEach(field => {
+    const input = panel.querySelector(`[data-editor-field="${field}"]`);
+    if (input && document.activeElement !== input) {
+      input.value = shape[field] ?? '';
+      input.setCustomValidity('');
+      input.title = '';
+    }
+  });
+}
+
+/**
+* Enables edit mode for the map currently shown in the window
+*/
+function startZoneEditor() {
+  const svg = getSvgContainer();
+  if (!svg || !extensionState.isMapLoaded || !extensionState.currentMapData) {
+    if (typeof toastr !== 'undefined') toastr.warning('Load a map before editing');
+    return;
+  }
+
+  editorState.active = true;
+  editorState.mapData = structuredClone(extensionState.currentMapSource);
+  editorState.selectedIndex = -1;
+  editorState.drawing = false;
+  editorState.draftPoints = [];
+  editorState.drag = null;
+
+  svg.addEventListener('pointerdown', onEditorPointerDown);
+  svg.addEventListener('pointermove', onEditorPointerMove);
+  svg.addEventListener('pointerup', onEditorPointerUp);
+  svg.addEventListener('contextmenu', onEditorContextMenu);
+  svg.addEventListener('dblclick', onEditorDoubleClick);
+  svg.classList.add('imap-editing');
+
+  initMap(editorState.mapData, { keepView: true });
+  getOrCreateEditorPanel();
+  updateEditorPanel();
+
+  if (mapSettings.debugMode) console.log('[Map] Zone editor started');
+}
+
+/**
+* Leaves edit mode. Edited map stays in the cache until the list is refreshed
+*/
+function stopZoneEditor() {
+  if (!editorState.active) return;
+
+  const svg = getSvgContainer();
+  if (svg) {
+    svg.removeEventListener('pointerdown', onEditorPointerDown);
+    svg.removeEventListener('pointermove', onEditorPointerMove);
+    svg.removeEventListener('pointerup', onEditorPointerUp);
+    svg.removeEventListener('contextmenu', onEditorContextMenu);
+    svg.removeEventListener('dblclick', onEditorDoubleClick);
+    svg.classList.remove('imap-editing');
+  }
+
+  const editedMap = editorState.mapData;
+  editorState.active = false;
+  editorState.mapData = null;
+  editorState.drawing = false;
+  editorState.draftPoints = [];
+  editorState.drag = null;
+
+  if (editorPanelElement) {
+    editorPanelElement.remove();
+    editorPanelElement = null;
+  }
+
+  if (editedMap && extensionState.currentLoadedMap) {
+    mapCache.set(extensionState.currentLoadedMap, editedMap);
+  }
+
+  // Redraw without handles and outlines
+  if (svg && editedMap) {
+    initMap(editedMap, { keepView: true });
+  }
+
+  if (mapSettings.debugMode) console.log('[Map] Zone editor stopped');
+}
+
+function toggleZoneEditor() {
+  if (editorState.active) {
+    stopZoneEditor();
+  } else {
+    startZoneEditor();
+  }
+}
+
+/// ===== UI MANAGEMENT =====
+/**
+* Normalizes input parameter (event/array/string) to map name string
+* @param {*} input - Source value (event, array or string)
+* @returns {string|null} Normalized map name or null
+*/
+function normalizeMapInput(input) {
+    // Ignore click events
+    if (input && typeof input === 'object' && (input.type === 'click' || input.originalEvent)) {
+        return null;
+    }
+    
+    // Convert array to string
+    if (Array.isArray(input)) {
+        return input.join(' ').trim() || null;
+    }
+    
+    // Validate string
+    if (typeof input === 'string') {
+        return input.trim() || null;
+    }
+    
+    return null;
+}
+
+/**
+* Finds map in available list with partial match support
+* @param {string} searchTerm - Search query
+* @returns {string|null} Full map path or null
+*/
+function findMapByName(searchTerm) {
+    if (!extensionState.availableMaps || extensionState.availableMaps.length === 0) {
+        return null;
+    }
+    
+    const search = searchTerm.toLowerCase();
+    
+    return extensionState.availableMaps.find(mapPath => {
+        const mapLower = mapPath.toLowerCase();
+        
+        // Exact match
+        if (mapLower === search) return true;
+        
+        // Match by filename without extension (maps/SillyTavern.json → SillyTavern)
+        if (mapLower.endsWith('/' + search + '.json')) return true;
+        if (mapLower === search + '.json') return true;
+        
+        /// Match by name with extension (maps/SillyTavern.json → SillyTavern.json)
+        if (mapLower.endsWith('/' + search)) return true;
+        if (mapLower === search) return true;
+        
+        return false;
+    }) || null;
+}
+
+/**
+* Resolves map name: either finds in index or uses as direct path
+* @param {string} input - Map name or path
+* @returns {string} Full path to map file
+*/
+function resolveMapPath(input) {
+    if (!input) return null;
+    
+    const trimmed = input.trim();
+    
+    // Try to find in available maps
+    const found = findMapByName(trimmed);
+    if (found) {
+        if (mapSettings.debugMode) console.log('[Map]  Map found in index:', found);
+        return found;
+    }
+    
+    // Fallback: use input as direct path
+    let mapPath = trimmed;
+    if (!mapPath.toLowerCase().endsWith('.json')) {
+        mapPath += '.json';
+    }
+    
+    if (mapSettings.debugMode) {
+        console.warn('[Map] Map not found in index, using direct path:', mapPath);
+    }
+    
+    return mapPath;
+}
+
+/**
+* Opens map window and shows map
+* @param {*} input - Map name/path, slash command args or click event
+* @param {{historyIndex?: number}} [options] - historyIndex: entry of navigation history being revisited
+*/
+async function showMap(input, options = {}) {
+  try {
+    // Check for jQuery presence
+    if (typeof jQuery === 'undefined' || !$) {
+      throw new Error('jQuery not found');
+    }
+    
+    // Normalize input data
+    const normalizedInput = normalizeMapInput(input);
+    
+    // If map name explicitly provided, try to find/resolve it
+    let targetMap = normalizedInput
+      ? resolveMapPath(normalizedInput)
+      : extensionState.currentLoadedMap;
+    
+    if (!targetMap) {
+      if (typeof toastr !== 'undefined') toastr.warning('Map not selected');
+      return;
+    }
+    
+    // Unsaved editor changes belong to the previous map
+    if (editorState.active) {
+      stopZoneEditor();
+      if (typeof toastr !== 'undefined') toastr.info('Zone editor closed');
+    }
+    
+    // Load and initialize
+    makeMovable();
+    const svgData = await loadMapData(targetMap);
+    if (targetMap !== extensionState.currentLoadedMap) {
+      extensionState.currentZoneId = null;
+    }
+    extensionState.currentLoadedMap = targetMap;
+    
+    if (Number.isInteger(options.historyIndex)) {
+      navigationState.index = options.historyIndex;
+    } else {
+      recordNavigation(targetMap);
+    }
+    
+    saveChatMapState({
+      map: targetMap,
+      zone: extensionState.currentZoneId,
+      windowOpen: true,
+      history: { stack: [...navigationState.stack], index: navigationState.index },
+    });
+    await updateLocationPrompt();
+    
+    await playMapSoundtrack(applyMapVariant(svgData, getActiveVariant(targetMap, svgData)));
+    
+    // Sync selector if it exists
+    const select = $('#mapSelections');
+    if (select.length > 0 && select.find('option').filter((_, option) => option.value === targetMap).length > 0) {
+      select.val(targetMap);
+    }
+    
+    initMap(svgData);
+    renderBreadcrumbs();
+    if (extensionState.isMapLoaded) {
+      emitMapEvent(MAP_EVENTS.MAP_LOADED, getMapInfo(targetMap, extensionState.currentMapData));
+    }
+    if (typeof toastr !== 'undefined') toastr.success(`Map "${targetMap}" loaded`);
+    
+  } catch (error) {
+    console.error('[Map] Error showing map:', error);
+    let errorMsg = error.message;
+    
+    if (errorMsg.includes('404')) {
+      errorMsg = `Map file not found (${error.message}). Check name and index.json`;
+    }
+    
+    if (typeof toastr !== 'undefined') toastr.error(`Error: ${errorMsg}`);
+    extensionState.lastError = error;
+  }
+}
+
+function makeMovable(id = 'map') {
+  try {
+    if ($(`#${id}`).length > 0) {
+      $(`#${id}`).show();
+      return;
+    }
+    
+    const template = $('#generic_draggable_template').html();
+    if (!template) {
+      console.error('[Map] Template not found');
+      if (typeof toastr !== 'undefined') toastr.error('Error: window template not found');
+      return;
+    }
+    
+    const newElement = $(template);
+    newElement.css('background-color', 'var(--SmartThemeBlurTintColor)');
+    newElement.attr('forChar', id).attr('id', id);
+    newElement.find('.drag-grabber').attr('id', `${id}header`);
+    newElement.find('.dragTitle').text('Interactive Map');
+    
+    // Navigation bar: back/forward/home and breadcrumbs
+    newElement.append(createNavigationBar());
+    
+    // Create SVG container 
+    newElement.append('<svg id="svg-container" role="group" aria-label="Interactive map" style="width: 100%; height: 100%;"></svg>');
+    // Screen reader announcements: map loaded, zone entered
+    newElement.append('<div id="map-live-region" role="status" aria-live="polite" style="position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;"></div>');
+    newElement.addClass('no-scrollbar');
+    
+    // Zoom buttons and minimap
+    newElement.append(createZoomControls());
+    newElement.append(createMinimap());
+    newElement.append(createLayerControls());
+    setupMapViewControls(newElement.find('#svg-container')[0]);
+    
+    const closeButton = newElement.find('.dragClose');
+    closeButton.attr('id', `${id}close`).attr('data-related-id', id);
+    
+    // Zone editor toggle
+    const editButton = $('<div class="fa-solid fa-pen-to-square hoverglow" title="Zone editor"></div>')
+      .attr('id', `${id}_edit`)
+      .css({ cursor: 'pointer', marginRight: '6px' })
+      .on('click', (e) => {
+        e.stopPropagation();
+        toggleZoneEditor();
+      });
+    closeButton.before(editButton);
+    
+    $('#dragMap').css('display', 'block');
+    $('body').append(newElement);
+    
+    // Check for function before calling
+    if (typeof loadMovingUIState === 'function') {
+      loadMovingUIState();
+    }
+    
+    $(`.draggable[forChar="${id}"]`).css('display', 'block');
+    dragElement(newElement);
+    
+    $(`.draggable[forChar="${id}"] img`).on('dragstart', (e) => {
+      e.preventDefault();
+      return false;
+    });
+    
+    if (mapSettings.debugMode) console.log(`[Map] Window created: ${id}`);
+  } catch (error) {
+    console.error('[Map] Ошибка создания окна:', error);
+    if (typeof toastr !== 'undefined') toastr.error('Error creating map window');
+  }
+}
+
+// ===== 🧭 NAVIGATION HISTORY =====
+/**
+* Browser-like history of shown maps. Entries before index form the breadcrumb trail,
+* entries after index are available for "forward".
+*/
+const navigationState = {
+  stack: [],
+  index: -1,
+};
+
+const MAX_NAVIGATION_HISTORY = 50;
+
+function resetNavigation() {
+  navigationState.stack = [];
+  navigationState.index = -1;
+}
+
+/**
+* Adds map to history. Returning to a map already in the trail
+* (e.g. via a "return" zone) moves back to it instead of growing the trail.
+* @param {string} mapPath
+*/
+function recordNavigation(mapPath) {
+  const existing = navigationState.index >= 0
+    ? navigationState.stack.lastIndexOf(mapPath, navigationState.index)
+    : -1;
+
+  if (existing !== -1) {
+    navigationState.index = existing;
+    return;
+  }
+
+  navigationState.stack = navigationState.stack.slice(0, navigationState.index + 1);
+  navigationState.stack.push(mapPath);
+
+  if (navigationState.stack.length > MAX_NAVIGATION_HISTORY) {
+    navigationState.stack.shift();
+  }
+
+  navigationState.index = navigationState.stack.length - 1;
+}
+
+/**
+* Shows map from history entry
+* @param {number} index - Entry index
+* @returns {Promise<boolean>} false if there is no such entry
+*/
+async function navigateToHistoryIndex(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= navigationState.stack.length) {
+    return false;
+  }
+
+  await showMap(navigationState.stack[index], { historyIndex: index });
+  return true;
+}
+
+function navigateBack() {
+  return navigateToHistoryIndex(navigationState.index - 1);
+}
+
+function navigateForward() {
+  return navigateToHistoryIndex(navigationState.index + 1);
+}
+
+function navigateHome() {
+  return navigateToHistoryIndex(0);
+}
+
+/**
+* Creates bar with back/forward/home buttons and breadcrumbs for the map window
+* @returns {HTMLElement}
+*/
+function createNavigationBar() {
+  const bar = document.createElement('div');
+  bar.id = 'mapNavigationBar';
+  bar.style.position = 'absolute';
+  bar.style.top = '6px';
+  bar.style.left = '12px';
+  bar.style.right = '80px';
+  bar.style.zIndex = '11';
+  bar.style.display = 'flex';
+  bar.style.alignItems = 'center';
+  bar.style.gap = '6px';
+  bar.style.fontSize = '14px';
+  bar.style.whiteSpace = 'nowrap';
+  bar.style.overflow = 'hidden';
+
+  bar.innerHTML = `
+    <div data-nav="back" class="fa-solid fa-arrow-left hoverglow" title="Back"></div>
+    <div data-nav="forward" class="fa-solid fa-arrow-right hoverglow" title="Forward"></div>
+    <div data-nav="home" class="fa-solid fa-house hoverglow" title="Home"></div>
+    <div id="mapBreadcrumbs" style="overflow: hidden; text-overflow: ellipsis;"></div>
+  `;
+
+  bar.addEventListener('click', (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const action = target.closest('[data-nav]')?.getAttribute('data-nav');
+    const crumb = target.closest('[data-crumb-index]')?.getAttribute('data-crumb-index');
+
+    if (action === 'back') navigateBack();
+    else if (action === 'forward') navigateForward();
+    else if (action === 'home') navigateHome();
+    else if (crumb !== undefined && crumb !== null) navigateToHistoryIndex(Number(crumb));
+  });
+
+  // Clicks on the bar must not start dragging the window
+  bar.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  return bar;
+}
+
+/**
+* Updates breadcrumbs and button states in the navigation bar
+*/
+function renderBreadcrumbs() {
+  const bar = document.getElementById('mapNavigationBar');
+  const container = document.getElementById('mapBreadcrumbs');
+  if (!bar || !container) return;
+
+  const setEnabled = (action, enabled) => {
+    const button = /** @type {HTMLElement|null} */ (bar.querySelector(`[data-nav="${action}"]`));
+    if (!button) return;
+    button.style.opacity = enabled ? '1' : '0.3';
+    button.style.cursor = enabled ? 'pointer' : 'default';
+  };
+
+  setEnabled('back', navigationState.index > 0);
+  setEnabled('forward', navigationState.index < navigationState.stack.length - 1);
+  setEnabled('home', navigationState.index > 0);
+
+  container.innerHTML = '';
+  navigationState.stack.slice(0, navigationState.index + 1).forEach((mapPath, i) => {
+    if (i > 0) {
+      container.append(' › ');
+    }
+
+    const crumb = document.createElement('span');
+    crumb.textContent = getMapLabel(mapPath);
+
+    if (i === navigationState.index) {
+      crumb.style.fontWeight = 'bold';
+    } else {
+      crumb.dataset.crumbIndex = String(i);
+      crumb.style.cursor = 'pointer';
+      crumb.style.textDecoration = 'underline';
+    }
+
+    container.append(crumb);
+  });
+}
+
+// ===== WINDOW CLOSE HANDLER =====
+/**
+* Removes map window and clears SVG state and media
+* @param {string} [relatedId] - Window element id
+* @returns {boolean} true if window was found and closed
+*/
+function closeMapWindow(relatedId = 'map') {
+    const $element = $(`#${relatedId}`);
+
+    if ($element.length === 0) {
+        return false;
+    }
+
+    try {
+        stopZoneEditor();
+        clearMap();
+        stopCurrentMapAudio();
+        stopCurrentMapImage();
+        stopCurrentMapVideo?.();
+
+        $element.off().remove();
+        emitMapEvent(MAP_EVENTS.MAP_CLOSED, { map: extensionState.currentLoadedMap });
+
+        if (mapSettings.debugMode) {
+            console.log(`[Map] Window closed: ${relatedId}`);
+        }
+    } catch (error) {
+        console.error('[Map] Error closing window:', error);
+    }
+
+    return true;
+}
+
+/**
+* Sets up map window close handler
+* Removes window and clears SVG state
+*/
+function setupCloseHandler() {
+    // Delegate only for close elements inside map container
+    $(document).on('click', '#map .dragClose', function (e) {
+        e.stopPropagation();
+
+        const relatedId = $(this).data('related-id') || 'map';
+
+        if (!closeMapWindow(relatedId)) {
+            console.warn(`[Map] Element #${relatedId} not found`);
+            return;
+        }
+
+        saveChatMapState({ windowOpen: false });
+    });
+}
+
+/// Call once during extension initialization
+let closeHandlerInitialized = false;
+
+// In jQuery(() => { ... }):
+if (!closeHandlerInitialized) {
+    setupCloseHandler();
+    closeHandlerInitialized = true;
+}
+
+// ===== HELPER FUNCTION FOR MAP NAME GENERATION =====
+/**
+* Converts map path to simple name without maps/ and .json
+* Examples:
+* 'Name.json' → 'Name'
+* 'maps/Name.json' → 'Name'
+* 'dungeons/city/Main.json' → 'Main'
+* @param {string} mapPath - Map path
+* @returns {string} Display label
+*/
+function getMapLabel(mapPath) {
+  if (!mapPath) return 'Unknown';
+  
+  // Get filename only
+  let filename = mapPath.includes('/') 
+    ? mapPath.split('/').pop() 
+    : mapPath;
+  
+// Remove .json extension
+  if (filename.toLowerCase().endsWith('.json')) {
+    filename = filename.slice(0, -5);
+  }
+  
+  return filename;
+}
+
+// ===== MAP SELECTION INITIALIZATION =====
+/**
+* Initializes map selection dropdown
+*/
+async function initializeMapSelection() {
+    try {
+        const maps = await discoverAvailableMaps();
+        const $select = $('#mapSelections');
+
+        if ($select.length === 0) {
+            console.warn('[Map] Map selection dropdown not found');
+            return;
+        }
+
+        $select.empty();
+
+        // Nice names via getMapLabel
+        const importedMaps = getStoredSettings().importedMaps;
+        maps.forEach(map => {
+            const label = importedMaps.includes(map) ? `${getMapLabel(map)} (imported)` : getMapLabel(map);
+            const $option = $('<option>')
+                .val(map)
+                .text(label);
+            $select.append($option);
+        });
+
+        if (maps.length > 0) {
+            // Map saved in the current chat takes priority over the first one
+            const savedMap = getChatMapState()?.map;
+            const initialMap = savedMap && maps.includes(savedMap) ? savedMap : maps[0];
+            extensionState.currentLoadedMap = initialMap;
+            $select.val(initialMap);
+        }
+
+        // Change handler
+        $select.off('change').on('change', function () {
+            extensionState.currentLoadedMap = $(this).val();
+            extensionState.currentZoneId = null;
+            updateImportedMapControls();
+            if (mapSettings.debugMode) {
+                console.log('[Map] Selected map:', extensionState.currentLoadedMap);
+            }
+        });
+
+        updateImportedMapControls();
+
+        if (mapSettings.debugMode) {
+            console.log(`[Map] Selection initialization complete. Maps: ${maps.length}`);
+        }
+    } catch (error) {
+        console.error('[Map] Selection initialization error:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error('Error initializing map selection');
+        }
+    }
+}
+
+// ===== 🔌 PUBLIC API =====
+/**
+* Events emitted through SillyTavern's eventSource, so other extensions can react to the map:
+*   eventSource.on('interactive_map_zone_clicked', ({ map, zone, type }) => { ... })
+* Every payload has `map` (map path); zone events also have `zone`, `name`, `type` and `state`,
+* layer events have `floor` and `overlays`, variant events have `variant`
+*/
+const MAP_EVENTS = {
+  MAP_LOADED: 'interactive_map_loaded',
+  MAP_CLOSED: 'interactive_map_closed',
+  ZONE_HOVERED: 'interactive_map_zone_hovered',
+  ZONE_CLICKED: 'interactive_map_zone_clicked',
+  LAYER_CHANGED: 'interactive_map_layer_changed',
+  VARIANT_CHANGED: 'interactive_map_variant_changed',
+};
+
+/**
+* @typedef {Object} ZoneEventData
+* @property {string} map - Map path, e.g. "maps/Willow Creek.json"
+* @property {string} zone - Zone id
+* @property {string} name
+* @property {string} type
+* @property {'enabled'|'hide'|'disable'|'script'} state
+*/
+
+/**
+* @typedef {Object} ZoneActionFilter
+* @property {string} [map] - Map name or path
+* @property {string} [zone] - Zone id
+* @property {string} [type] - Zone type, e.g. "shop"
+*/
+
+/** @type {{filter: ZoneActionFilter|function(ZoneEventData): boolean, handler: function(ZoneEventData): *}[]} */
+const zoneActions = [];
+
+/**
+* Emits map event without letting listener errors break the map
+* @param {string} name - One of MAP_EVENTS
+* @param {Object} data
+*/
+function emitMapEvent(name, data) {
+  if (mapSettings.debugMode) console.log(`[Map] Event ${name}:`, data);
+
+  Promise.resolve(eventSource.emit(name, data)).catch(error => {
+    console.error(`[Map] Error in ${name} listener:`, error);
+  });
+}
+
+/**
+* Describes rendered zone for events and zone actions
+* @param {SVGPathElement} path
+* @returns {ZoneEventData}
+*/
+function getZoneEventData(path) {
+  const shape = extensionState.currentMapData?.shapes[Number(path.dataset.shapeIndex)];
+  return {
+    map: extensionState.currentLoadedMap,
+    zone: path.id,
+    name: shape?.name || '',
+    type: shape?.type || '',
+    state: path.dataset.zoneState || 'enabled',
+  };
+}
+
+/**
+* A filter function that throws is treated as not matching, so one broken
+* extension does not stop the other actions of the click
+* @param {ZoneActionFilter|function(ZoneEventData): boolean} filter
+* @param {ZoneEventData} data
+* @returns {boolean}
+*/
+function matchesZoneAction(filter, data) {
+  if (typeof filter === 'function') {
+    try {
+      return Boolean(filter(data));
+    } catch (error) {
+      console.error('[Map] Error in zone action filter:', error);
+      return false;
+    }
+  }
+  if (filter.map && resolveMapPath(filter.map) !== data.map) return false;
+  if (filter.zone && filter.zone !== data.zone) return false;
+  if (filter.type && filter.type !== data.type) return false;
+  return true;
+}
+
+/**
+* Runs zone actions registered by other extensions for the clicked zone
+* @param {ZoneEventData} data
+*/
+function runZoneActions(data) {
+  zoneActions
+    .filter(({ filter }) => matchesZoneAction(filter, data))
+    .forEach(({ handler }) => {
+      Promise.resolve()
+        .then(() => handler(data))
+        .catch(error => console.error('[Map] Error in zone action:', error));
+    });
+}
+
+/**
+* Builds what /map_info and getCurrentMap() return
+* @param {string} mapPath
+* @param {Object} mapData
+* @returns {Object}
+*/
+function getMapInfo(mapPath, mapData) {
+  return {
+    map: mapPath,
+    name: mapData.metadata?.name || getMapLabel(mapPath),
+    metadata: mapData.metadata || {},
+    version: mapData.version || '',
+    width: Number(mapData.backgroundImage.width),
+    height: Number(mapData.backgroundImage.height),
+    zones: mapData.shapes.length,
+    floor: getLayerState(mapPath, mapData).floor,
+    layers: describeLayers(mapPath, mapData),
+    variant: getActiveVariant(mapPath, mapData)?.id ?? '',
+    variants: (Array.isArray(mapData.variants) ? mapData.variants : []).map(variant => variant.id),
+    zone: extensionState.currentZoneId,
+    open: extensionState.isMapLoaded,
+    imported: getStoredSettings().importedMaps.includes(mapPath),
+  };
+}
+
+/**
+* Highlights zone of the open map with its hover color (or the given one)
+* @param {string} zoneId - Zone id or name
+* @param {{color?: string, duration?: number}} [options] - duration in ms, 0 keeps highlight until the mouse leaves the zone
+* @returns {boolean} false if zone is not on the open map
+*/
+function highlightZone(zoneId, { color, duration = 1500 } = {}) {
+  const index = findZoneIndex(extensionState.currentMapData, zoneId);
+  const path = getSvgContainer()?.querySelector(`.svg-path[data-shape-index="${index}"]`);
+  if (index === -1 || !path) return false;
+
+  if (color && isValidColor(color)) {
+    path.style.setProperty('--imap-highlight-color', color);
+  } else {
+    path.style.removeProperty('--imap-highlight-color');
+  }
+  path.classList.add('imap-zone-highlight');
+
+  clearTimeout(path._highlightTimer);
+  if (duration > 0) {
+    path._highlightTimer = setTimeout(() => path.classList.remove('imap-zone-highlight'), duration);
+  }
+  return true;
+}
+
+/**
+* Interactive Map API for other extensions, available as `globalThis.InteractiveMap`
+*/
+const InteractiveMapAPI = Object.freeze({
+  version: EXTENSION_VERSION,
+  events: MAP_EVENTS,
+
+  /**
+  * Opens map window with the map
+  * @param {string} mapName - Map name or path, as in /showmap
+  * @returns {Promise<Object|null>} Loaded map, see getCurrentMap()
+  */
+  async showMap(mapName) {
+    await showMap(mapName);
+    return InteractiveMapAPI.getCurrentMap();
+  },
+
+  /**
+  * Closes map window
+  * @returns {boolean} false if window was not open
+  */
+  closeMap() {
+    return closeMapWindow();
+  },
+
+  /**
+  * Current map: path, name, metadata, size, last entered zone, whether the window is open
+  * @returns {Object|null} null if no map is rendered
+  */
+  getCurrentMap() {
+    const mapData = extensionState.currentMapData;
+    return mapData ? getMapInfo(extensionState.currentLoadedMap, mapData) : null;
+  },
+
+  /**
+  * Zones of the current or named map with their condition state and fog of war discovery
+  * @param {string} [mapName]
+  * @returns {Promise<ReturnType<typeof describeZones>>}
+  */
+  async getZones(mapName) {
+    const { mapPath, mapData } = await getCommandMap(mapName);
+    return describeZones(mapPath, mapData);
+  },
+
+  highlightZone,
+
+  /**
+  * Switches floor or shows/hides overlay of the open map, as /map_layer
+  * @param {string} layer - Layer id or name
+  * @param {boolean} [visible] - Overlays only: show or hide, toggles by default
+  * @returns {{floor: string|null, overlays: string[]}} New layer state
+  * @throws {Error} If map is not open or has no such layer
+  */
+  setLayer(layer, visible) {
+    setMapLayer(layer, visible);
+    return getLayerState(extensionState.currentLoadedMap, extensionState.currentMapSource);
+  },
+
+  /**
+  * Adds sprite to the open map or replaces the one with the same id, as /map_overlay add
+  * @param {MapSprite} sprite - { id, file, x, y, width, height, opacity?, layer?, condition? }
+  * @throws {Error} If map is not open or sprite is invalid
+  */
+  addSprite(sprite) {
+    addMapSprite(sprite);
+  },
+
+  /**
+  * Removes sprite of the open map, as /map_overlay remove
+  * @param {string} spriteId
+  * @returns {boolean} false if there is no such sprite
+  */
+  removeSprite(spriteId) {
+    return removeMapSprite(spriteId);
+  },
+
+  /**
+  * Picks background variant of the open map, as /map_variant
+  * @param {string} variant - Variant id or name, "default" or "auto"
+  * @returns {Promise<string>} Id of the active variant, '' for the default look
+  * @throws {Error} If map is not open or has no such variant
+  */
+  async setVariant(variant) {
+    return (await setMapVariant(variant))?.id ?? '';
+  },
+
+  /**
+  * Finds the quickest route between zones of the current map, as /map_route
+  * @param {string|null} from - Zone id or name, null for the zone last entered in this chat
+  * @param {string} to - Zone id or name
+  * @param {{by?: 'time'|'distance'|'steps', draw?: boolean}} [options]
+  * @returns {Promise<MapRoute|null>} null if the destination can't be reached
+  * @throws {Error} If no map is selected or a zone is not found
+  */
+  async findRoute(from, to, { by, draw = false } = {}) {
+    const route = await planTravelRoute(from, to, by);
+    if (draw) drawTravelRoute(route);
+    return route;
+  },
+
+  /**
+  * Runs zone of the open map as if clicked
+  * @param {string} zoneId - Zone id or name
+  * @returns {Promise<void>}
+  * @throws {Error} If zone is not found or not available
+  */
+  async clickZone(zoneId) {
+    await activateZone(getClickableZone(zoneId));
+  },
+
+  /**
+  * Calls handler when a matching zone is clicked (or run with /map_click)
+  * @param {ZoneActionFilter|function(ZoneEventData): boolean} filter - e.g. { type: 'shop' }
+  * @param {function(ZoneEventData): *} handler
+  * @returns {function(): void} Unregisters the action
+  */
+  registerZoneAction(filter, handler) {
+    if (!filter || (typeof filter !== 'object' && typeof filter !== 'function') || typeof handler !== 'function') {
+      throw new Error('registerZoneAction(filter, handler): filter must be an object or function, handler a function');
+    }
+
+    const action = { filter, handler };
+    zoneActions.push(action);
+    return () => {
+      const index = zoneActions.indexOf(action);
+      if (index !== -1) zoneActions.splice(index, 1);
+    };
+  },
+});
+
+globalThis.InteractiveMap = InteractiveMapAPI;
+
+// ===== EXTENSION INITIALIZATION =====
+jQuery(async () => {
+  // Check for required dependencies
+  if (typeof jQuery === 'undefined') {
+    console.error('[Map] jQuery not found - extension cannot be initialized');
+    return;
+  }
+  
+  if (!document.getElementById('extensionsMenu')) {
+    console.error('[Map] Extensions menu not found - extension cannot be initialized');
+    return;
+  }
+  
+  console.log('[Map] Extension initialization...');
+  
+   try {
+    loadStoredMapSettings();
+    registerLocationMacros();
+    await initializeMapSelection();
+    await updateLocationPrompt();
+    
+    // Restore map and location saved in the chat
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+      restoreChatMapState()
+        .then(refreshMapConditions)
+        .catch(error => {
+          console.error('[Map] Error restoring chat map state:', error);
+        });
+    });
+
+    // Follow places mentioned by the AI
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+      refreshMapConditions();
+      followLocationInMessage(messageId).catch(error => {
+        console.error('[Map] Error following location in message:', error);
+      });
+    });
+
+    // Messages may run scripts that change variables used by conditions
+    eventSource.on(event_types.MESSAGE_SENT, () => refreshMapConditions());
+    
+    // Initialize closeHandler exactly once
+        if (!closeHandlerInitialized) {
+          setupCloseHandler();
+          closeHandlerInitialized = true;
+        }
+
+// Button creation
+const button = $(`
+    <button id="map_start" type="button" class="list-group-item flex-container flexGap5 interactable" tabindex="0" role="listitem">
+        🌍 Last Selected Map
+    </button>
+`).css({
+    fontFamily: 'var(--mainFontFamily), sans-serif',
+    fontSize: 'var(--mainFontSize)',
+    color: '#000',
+});
+
+$('#extensionsMenu').append(button);
+$('#map_start').on('click', showMap);
+
+// ===== COMMON UTILITIES FOR SLASH COMMANDS =====
+/**
+* Brings args/value to single argument string.
+* @param {unknown} args
+* @param {unknown} value
+* @returns {string}
+*/
+function getRawArgs(args, value) {
+    if (typeof value === 'string' && value.trim()) {
+        return value.trim();
+    }
+
+    if (Array.isArray(args)) {
+        return args.join(' ').trim();
+    }
+
+    if (typeof args === 'string') {
+        return args.trim();
+    }
+
+    return '';
+}
+
+ // 🌍 Register show map command
+    registerSlashCommand(
+        'showmap',
+        async (args, value) => {
+            try {
+                await showMap(value || args);
+                return '';
+            } catch (error) {
+                console.error('[Map] Error in /showmap command:', error);
+                return `Ошибка: ${error.message}`;
+            }
+        },
+        [],
+        'Show interactive map (/showmap [map_name])',
+        true,
+        true
+    );
+
+// 🔈🎵 Load audio file: /showmap_sound sound_name [sound=other_file_name] [channel=music|ambience|sfx] [loop=0|1] [volume=NN]
+registerSlashCommand(
+    'showmap_sound',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+
+            if (!raw) {
+                return 'Usage: /showmap_sound [sound_name] [sound=other_file_name] [channel=music|ambience|sfx] [loop=0|1] [volume=NN]';
+            }
+
+            // --- parse playback options ---
+            const opt = {};
+
+            const mChannel = raw.match(/channel=(\w+)/i);
+            if (mChannel) {
+                opt.channel = mChannel[1].toLowerCase();
+                raw = raw.replace(mChannel[0], '').trim();
+
+                if (!AUDIO_CHANNELS.includes(opt.channel)) {
+                    return `Unknown channel "${opt.channel}". Channels: ${AUDIO_CHANNELS.join(', ')}`;
+                }
+            }
+
+            const mLoop = raw.match(/loop=(\d+)/i);
+            if (mLoop) {
+                opt.loop = mLoop[1] === '1';
+                raw = raw.replace(mLoop[0], '').trim();
+            }
+
+            const mVolume = raw.match(/volume=(\d{1,3})/i);
+            if (mVolume) {
+                opt.volume = parseInt(mVolume[1], 10);
+                raw = raw.replace(mVolume[0], '').trim();
+            }
+
+            // --- parse optional sound name via named argument sound=... ---
+            let soundName = null;
+            let soundPart = raw;
+
+            // sound="..." (double quotes)
+            let m = soundPart.match(/sound=\"([^\"]+)\"/i);
+
+            if (!m) {
+                // sound='...' (single quotes)
+                m = soundPart.match(/sound='([^']+)'/i);
+            }
+
+            if (!m) {
+                // sound=without_spaces
+                m = soundPart.match(/sound=([^\s]+)/i);
+            }
+
+            if (m) {
+                soundName = m[1];
+                // remove this fragment from string
+                soundPart = soundPart.replace(m[0], '').trim();
+            }
+
+            // Everything remaining is base sound name
+            const baseName = soundPart;
+
+            if (!baseName && !soundName) {
+                return 'Sound name not specified. Example: /showmap_sound "Secluded corner"';
+            }
+
+            // If separate sound name not provided, use baseName
+            if (!soundName) {
+                soundName = baseName;
+            }
+
+            // Only play sound, do NOT touch map
+            await playMapSound(soundName, opt);
+            return '';
+        } catch (error) {
+            console.error('[Map] Error in /showmap_sound command:', error);
+            return `Ошибка: ${error.message}`;
+        }
+    },
+    [],
+    'Play sound from sounds folder (/showmap_sound [sound_name] [sound=other_file_name] [channel=music|ambience|sfx] [loop=0|1] [volume=NN])',
+    true,
+    true
+);
+
+
+// 🔈🔇 Slash command to stop audio: /stopsound [channel=music|ambience|sfx]
+registerSlashCommand(
+    'stopsound',
+    async (args, value) => {
+        try {
+            const raw = getRawArgs(args, value);
+            const mChannel = raw.match(/channel=(\w+)/i);
+            const channel = mChannel ? mChannel[1].toLowerCase() : undefined;
+
+            if (channel && !AUDIO_CHANNELS.includes(channel)) {
+                return `Unknown channel "${channel}". Channels: ${AUDIO_CHANNELS.join(', ')}`;
+            }
+
+            stopCurrentMapAudio(channel);
+            if (mapSettings.debugMode) {
+                console.log('[Map] Sound stopped:', channel || 'all channels');
+            }
+            if (typeof toastr !== 'undefined') {
+                toastr.success('Map sound stopped');
+            }
+            return '';
+        } catch (error) {
+            console.error('[Map] Error in /stopsound command:', error);
+            return `Error: ${error.message}`;
+        }
+    },
+    [],
+    'Stop map audio playback (/stopsound [channel=music|ambience|sfx], all channels by default)',
+    true,
+    true
+);
+
+// 🔊 Channel volume: /map_volume channel=music 40 (without number: returns current volume)
+registerSlashCommand(
+    'map_volume',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+            let channel = 'music';
+
+            const mChannel = raw.match(/channel=(\w+)/i);
+            if (mChannel) {
+                channel = mChannel[1].toLowerCase();
+                raw = raw.replace(mChannel[0], '').trim();
+            }
+
+            if (!AUDIO_CHANNELS.includes(channel)) {
+                return `Unknown channel "${channel}". Channels: ${AUDIO_CHANNELS.join(', ')}`;
+            }
+
+            if (!raw) {
+                return String(mapSettings[`${channel}Volume`]);
+            }
+
+            const volume = Number(raw);
+            if (!Number.isFinite(volume) || volume < 0 || volume > 100) {
+                return 'Usage: /map_volume channel=music|ambience|sfx [0-100]';
+            }
+
+            setChannelVolume(channel, volume);
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_volume command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Set or get volume of map audio channel (/map_volume channel=music|ambience|sfx [0-100])',
+    true,
+    true
+);
+
+// 🖼 Show image in map window from images folder: /showmap_image file [size=80]
+registerSlashCommand(
+    'showmap_image',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+
+            if (!raw) {
+                return 'Usage: /showmap_image filename [size=80]';
+            }
+
+            // Parse size option
+            const opt = {};
+            const mSize = raw.match(/size=(\d{1,3})/i);
+
+            if (mSize) {
+                opt.sizePct = parseInt(mSize[1], 10);
+                raw = raw.replace(mSize[0], '').trim();
+            }
+
+            await showMapImage(raw, opt);
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /showmap_image command:', e);
+            return `Ошибка: ${e.message}`;
+        }
+    },
+    [],
+    'Show image in map window from images folder (/showmap_image file [size=80])',
+    true,
+    true
+);
+
+
+// 🖼🛑 Hide image
+registerSlashCommand(
+    'stopimage',
+    async () => {
+        try {
+            stopCurrentMapImage();
+            if (typeof toastr !== 'undefined') {
+                toastr.success('Image hidden');
+            }
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /stopimage command:', e);
+            return `Ошибка: ${e.message}`;
+        }
+    },
+    [],
+    'Hide image in map window',
+    true,
+    true
+);
+
+// 🎬 Show video in map window from movies folder: /showmap_video file [muted=1] [loop=1] [size=40]
+registerSlashCommand(
+    'showmap_video',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+
+            if (!raw) {
+                return 'Usage: /showmap_video filename [muted=1] [loop=1] [size=40]';
+            }
+
+            // Parse options
+            const opt = {};
+
+            const mMuted = raw.match(/muted=(\d+)/i);
+            if (mMuted) {
+                opt.muted = mMuted[1] === '1';
+                raw = raw.replace(mMuted[0], '').trim();
+            }
+
+            const mLoop = raw.match(/loop=(\d+)/i);
+            if (mLoop) {
+                opt.loop = mLoop[1] === '1';
+                raw = raw.replace(mLoop[0], '').trim();
+            }
+
+            const mSize = raw.match(/size=(\d{1,3})/i);
+            if (mSize) {
+                opt.sizePct = parseInt(mSize[1], 10);
+                raw = raw.replace(mSize[0], '').trim();
+            }
+
+            // Per request — do NOT load map and do NOT call showMap
+            await playMapVideo(raw, opt);
+            return '';
+        } catch (e) {
+            console.error('[Map]  Error in /showmap_video command:', e);
+            return `Ошибка: ${e.message}`;
+        }
+    },
+    [],
+    'Show video in map window from movies folder (/showmap_video file [muted=1] [loop=1] [size=40])',
+    true,
+    true
+);
+
+// 🎬🛑 Stop video
+registerSlashCommand(
+    'stopvideo',
+    async () => {
+        try {
+            stopCurrentMapVideo();
+            if (typeof toastr !== 'undefined') toastr.success('Video stopped');
+            return '';
+        } catch (e) {
+            console.error('[Map]  Error in /stopvideo command:', e);
+            return `Ошибка: ${e.message}`;
+        }
+    },
+    [],
+    'Stop video in map window',
+    true,
+    true
+);
+
+// 🧍 Place token on the map: /map_token name zone-id|x,y|none
+registerSlashCommand(
+    'map_token',
+    async (args, value) => {
+        try {
+            const raw = getRawArgs(args, value);
+            const match = raw.match(/^(.+?)\s+(\S+)$/);
+
+            if (!match) {
+                return 'Usage: /map_token name zone-id|x,y|none';
+            }
+
+            if (!extensionState.isMapLoaded) {
+                return 'Map window not open';
+            }
+
+            const tokenName = resolveTokenName(match[1]);
+            const targetRaw = match[2];
+            let target;
+
+            if (targetRaw.toLowerCase() === 'none') {
+                target = null;
+            } else if (/^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/.test(targetRaw)) {
+                target = targetRaw.split(',').map(Number);
+            } else if (extensionState.currentMapData.shapes.some(shape => shape.id === targetRaw)) {
+                target = targetRaw;
+            } else {
+                return `Zone "${targetRaw}" not found on current map`;
+            }
+
+            setTokenPlacement(tokenName, target);
+            saveChatMapState({ tokens: extensionState.tokenPlacements });
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_token command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Place token of user/char/group member on the map (/map_token name zone-id|x,y|none)',
+    true,
+    true
+);
+
+// 🔍 Zoom to zone: /map_focus zone-id (without argument: fit to window)
+registerSlashCommand(
+    'map_focus',
+    async (args, value) => {
+        try {
+            const zoneId = getRawArgs(args, value);
+
+            if (!extensionState.isMapLoaded) {
+                return 'Map window not open';
+            }
+
+            if (!zoneId) {
+                fitMapToWindow();
+                return '';
+            }
+
+            if (!focusZone(zoneId)) {
+                return `Zone "${zoneId}" not found on current map`;
+            }
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_focus command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Zoom map to zone (/map_focus zone-id), without zone: fit to window',
+    true,
+    true
+);
+
+// 🎯 Run zone script as if clicked: /map_click zone-id|name
+registerSlashCommand(
+    'map_click',
+    async (args, value) => {
+        try {
+            const query = getRawArgs(args, value);
+
+            if (!query) {
+                return 'Usage: /map_click zone-id|name';
+            }
+            await activateZone(getClickableZone(query));
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_click command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Run zone script as if the zone was clicked (/map_click zone-id|name)',
+    true,
+    true
+);
 
-$('#extensionsMenu').append(button);
-$('#map_start').on('click', showMap);
+// 📋 Zones of current or named map: /map_zones [format=json|list] [map_name]
+registerSlashCommand(
+    'map_zones',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+            let format = 'json';
 
-// ===== COMMON UTILITIES FOR SLASH COMMANDS =====
-/**
-* Brings args/value to single argument string.
-* @param {unknown} args
-* @param {unknown} value
-* @returns {string}
-*/
-function getRawArgs(args, value) {
-    if (typeof value === 'string' && value.trim()) {
-        return value.trim();
-    }
+            const mFormat = raw.match(/format=(\w+)/i);
+            if (mFormat) {
+                format = mFormat[1].toLowerCase();
+                raw = raw.replace(mFormat[0], '').trim();
+            }
+            if (format !== 'json' && format !== 'list') {
+                return 'Usage: /map_zones [format=json|list] [map_name]';
+            }
 
-    if (Array.isArray(args)) {
-        return args.join(' ').trim();
-    }
+            const { mapPath, mapData } = await getCommandMap(raw);
+            const zones = describeZones(mapPath, mapData);
 
-    if (typeof args === 'string') {
-        return args.trim();
-    }
+            if (format === 'list') {
+                return zones.map(zone => (zone.name ? `${zone.id}: ${zone.name}` : zone.id)).join('\n');
+            }
+            return JSON.stringify(zones);
+        } catch (e) {
+            console.error('[Map] Error in /map_zones command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Return zones of the current or named map as JSON or as a list (/map_zones [format=json|list] [map_name])',
+    true,
+    true
+);
 
-    return '';
-}
+// ℹ️ Current map metadata: /map_info
+registerSlashCommand(
+    'map_info',
+    async () => {
+        try {
+            const { mapPath, mapData } = await getCommandMap();
+            return JSON.stringify(getMapInfo(mapPath, mapData));
+        } catch (e) {
+            console.error('[Map] Error in /map_info command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Return metadata of the current map as JSON (/map_info)',
+    true,
+    true
+);
 
- // 🌍 Register show map command
+// 🌫 Fog of war: /map_reveal zone-id|all, /map_hide zone-id|all
+[
+    { name: 'map_reveal', discovered: true, help: 'Reveal zones hidden by fog of war (/map_reveal zone-id [zone-id...]|all)' },
+    { name: 'map_hide', discovered: false, help: 'Hide zones under fog of war again (/map_hide zone-id [zone-id...]|all)' },
+].forEach(({ name, discovered, help }) => {
     registerSlashCommand(
-        'showmap',
+        name,
         async (args, value) => {
             try {
-                await showMap(value || args);
+                const raw = getRawArgs(args, value);
+
+                if (!raw) {
+                    return `Usage: /${name} zone-id [zone-id...]|all`;
+                }
+
+                if (!extensionState.isMapLoaded) {
+                    return 'Map window not open';
+                }
+
+                const shapes = extensionState.currentMapData.shapes;
+                const zoneIds = parseZoneIdList(raw);
+                const unknown = zoneIds.filter(id => !shapes.some(shape => shape.id === id));
+                if (unknown.length > 0) {
+                    return `Zone(s) not found on current map: ${unknown.join(', ')}`;
+                }
+
+                setZonesDiscovered(zoneIds, discovered);
+                saveChatMapState({ discovered: extensionState.discoveredZones });
+
+                if (!getFogOfWarOptions(extensionState.currentMapData) && typeof toastr !== 'undefined') {
+                    toastr.info('Fog of war is not enabled for this map');
+                }
                 return '';
-            } catch (error) {
-                console.error('[Map] Error in /showmap command:', error);
-                return `Ошибка: ${error.message}`;
+            } catch (e) {
+                console.error(`[Map] Error in /${name} command:`, e);
+                return `Error: ${e.message}`;
             }
         },
         [],
-        'Show interactive map (/showmap [map_name])',
+        help,
         true,
         true
     );
+});
 
-// 🔈🎵 Load audio file: /showmap_sound sound_name [sound=other_file_name]
+// 🎞 Sprites: /map_overlay add id file x y width height, /map_overlay remove id
 registerSlashCommand(
-    'showmap_sound',
+    'map_overlay',
     async (args, value) => {
         try {
-            let raw = getRawArgs(args, value);
+            const raw = getRawArgs(args, value);
+            const usage = 'Usage: /map_overlay add id file x y width height | /map_overlay remove id';
 
-            if (!raw) {
-                return 'Usage: /showmap_sound [sound_name] [sound=other_file_name]';
+            const mAdd = raw.match(/^add\s+(\S+)\s+(.+?)\s+(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)\s+(\d+(?:\.\d+)?)\s+(\d+(?:\.\d+)?)$/i);
+            const mRemove = raw.match(/^remove\s+(\S+)$/i);
+            if (!mAdd && !mRemove) {
+                return usage;
             }
 
-            // --- parse optional sound name via named argument sound=... ---
-            let soundName = null;
-            let soundPart = raw;
-
-            // sound="..." (double quotes)
-            let m = soundPart.match(/sound=\"([^\"]+)\"/i);
-
-            if (!m) {
-                // sound='...' (single quotes)
-                m = soundPart.match(/sound='([^']+)'/i);
+            if (!extensionState.isMapLoaded) {
+                return 'Map window not open';
             }
 
-            if (!m) {
-                // sound=without_spaces
-                m = soundPart.match(/sound=([^\s]+)/i);
+            if (mAdd) {
+                const [, id, file, x, y, width, height] = mAdd;
+                addMapSprite({ id, file, x: Number(x), y: Number(y), width: Number(width), height: Number(height) });
+                return '';
             }
 
-            if (m) {
-                soundName = m[1];
-                // remove this fragment from string
-                soundPart = soundPart.replace(m[0], '').trim();
+            if (!removeMapSprite(mRemove[1])) {
+                return `Sprite "${mRemove[1]}" not found on current map`;
             }
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_overlay command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Add an animated image or video sprite to the current map or remove one (/map_overlay add id file x y width height | /map_overlay remove id)',
+    true,
+    true
+);
 
-            // Everything remaining is base sound name
-            const baseName = soundPart;
+// 🗂 Floors and overlays: /map_layer layer [visible=0|1] (without layer: current floor)
+registerSlashCommand(
+    'map_layer',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+            let visible;
 
-            if (!baseName && !soundName) {
-                return 'Sound name not specified. Example: /showmap_sound "Secluded corner"';
+            const mVisible = raw.match(/visible=(\d+)/i);
+            if (mVisible) {
+                visible = mVisible[1] === '1';
+                raw = raw.replace(mVisible[0], '').trim();
             }
 
-            // If separate sound name not provided, use baseName
-            if (!soundName) {
-                soundName = baseName;
+            if (!extensionState.isMapLoaded) {
+                return 'Map window not open';
             }
 
-            // Only play sound, do NOT touch map
-            await playMapSound(soundName);
+            if (!raw) {
+                return getLayerState(extensionState.currentLoadedMap, extensionState.currentMapSource).floor || '';
+            }
+
+            setMapLayer(raw, visible);
             return '';
-        } catch (error) {
-            console.error('[Map] Error in /showmap_sound command:', error);
-            return `Ошибка: ${error.message}`;
+        } catch (e) {
+            console.error('[Map] Error in /map_layer command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Play sound from sounds folder (/showmap_sound [sound_name] [sound=other_file_name])',
+    'Switch floor or show/hide overlay of the current map (/map_layer layer-id|name [visible=0|1]), without layer: return current floor id',
     true,
     true
 );
 
-
-// 🔈🔇 Slash command to stop audio: /stopsound
+// 🌗 Background variants: /map_variant name|default|auto (without name: current variant)
 registerSlashCommand(
-    'stopsound',
+    'map_variant',
     async (args, value) => {
         try {
-            stopCurrentMapAudio();
-            if (mapSettings.debugMode) {
-                console.log('[Map] Sound stopped');
+            const raw = getRawArgs(args, value);
+
+            if (!extensionState.isMapLoaded) {
+                return 'Map window not open';
             }
-            if (typeof toastr !== 'undefined') {
-                toastr.success('Map sound stopped');
+
+            if (!raw) {
+                return extensionState.currentVariantId;
             }
+
+            await setMapVariant(raw);
             return '';
-        } catch (error) {
-            console.error('[Map] Error in /stopsound command:', error);
-            return `Error: ${error.message}`;
+        } catch (e) {
+            console.error('[Map] Error in /map_variant command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Stop map audio playback',
+    'Switch background variant of the current map (/map_variant name|default|auto), without name: return current variant id',
     true,
     true
 );
 
-// 🖼 Show image in map window from images folder: /showmap_image file [size=80]
+// 🛤 Travel routes: /map_route [by=time|distance|steps] [format=text|json] [draw=0|1] [from] to, /map_route clear
 registerSlashCommand(
-    'showmap_image',
+    'map_route',
     async (args, value) => {
         try {
             let raw = getRawArgs(args, value);
+            const usage = 'Usage: /map_route [by=time|distance|steps] [format=text|json] [draw=0|1] [from] to | /map_route clear';
+            const options = { by: undefined, format: 'text', draw: '0' };
+
+            for (const name of Object.keys(options)) {
+                const match = raw.match(new RegExp(`${name}=(\\w+)`, 'i'));
+                if (match) {
+                    options[name] = match[1].toLowerCase();
+                    raw = raw.replace(match[0], '').trim();
+                }
+            }
 
-            if (!raw) {
-                return 'Usage: /showmap_image filename [size=80]';
+            if (raw.toLowerCase() === 'clear') {
+                drawTravelRoute(null);
+                return '';
             }
 
-            // Parse size option
-            const opt = {};
-            const mSize = raw.match(/size=(\d{1,3})/i);
+            // Zone names with spaces are quoted
+            const zones = (raw.match(/"[^"]+"|\S+/g) || []).map(zone => zone.replace(/^"|"$/g, ''));
+            if (zones.length < 1 || zones.length > 2 || !['text', 'json'].includes(options.format)) {
+                return usage;
+            }
 
-            if (mSize) {
-                opt.sizePct = parseInt(mSize[1], 10);
-                raw = raw.replace(mSize[0], '').trim();
+            const [from, to] = zones.length === 2 ? zones : [null, zones[0]];
+            const route = await planTravelRoute(from, to, options.by);
+            if (!route) {
+                drawTravelRoute(null);
+                return `No route to "${to}"`;
             }
 
-            await showMapImage(raw, opt);
-            return '';
+            if (options.draw === '1') {
+                drawTravelRoute(route);
+            }
+            return options.format === 'json' ? JSON.stringify(route) : formatTravelRoute(route);
         } catch (e) {
-            console.error('[Map] Error in /showmap_image command:', e);
-            return `Ошибка: ${e.message}`;
+            console.error('[Map] Error in /map_route command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Show image in map window from images folder (/showmap_image file [size=80])',
+    'Find the quickest route between zones of the current map (/map_route [by=time|distance|steps] [format=text|json] [draw=0|1] [from] to), without "from": from the current zone; /map_route clear removes the drawn route',
     true,
     true
 );
 
+// 🧭 Navigation history: /map_back, /map_forward, /map_home
+[
+    { name: 'map_back', navigate: navigateBack, help: 'Show previous map from navigation history', empty: 'No previous map' },
+    { name: 'map_forward', navigate: navigateForward, help: 'Show next map from navigation history', empty: 'No next map' },
+    { name: 'map_home', navigate: navigateHome, help: 'Show first map of navigation history', empty: 'Navigation history is empty' },
+].forEach(({ name, navigate, help, empty }) => {
+    registerSlashCommand(
+        name,
+        async () => {
+            try {
+                const moved = await navigate();
+                if (!moved && typeof toastr !== 'undefined') {
+                    toastr.warning(empty);
+                }
+                return '';
+            } catch (e) {
+                console.error(`[Map] Error in /${name} command:`, e);
+                return `Error: ${e.message}`;
+            }
+        },
+        [],
+        help,
+        true,
+        true
+    );
+});
 
-// 🖼🛑 Hide image
+// ✅ Validate map against map-schema.json: /map_validate [map_name]
 registerSlashCommand(
-    'stopimage',
-    async () => {
+    'map_validate',
+    async (args, value) => {
         try {
-            stopCurrentMapImage();
+            const raw = getRawArgs(args, value);
+            const mapPath = raw ? resolveMapPath(raw) : extensionState.currentLoadedMap;
+
+            if (!mapPath) {
+                return 'Usage: /map_validate [map_name]';
+            }
+
+            const result = await validateMapFile(mapPath);
+            const summary = `${mapPath}: ${result.valid ? 'valid' : 'invalid'}, `
+                + `${result.errors.length} error(s), ${result.warnings.length} warning(s)`;
+            const lines = result.issues.map(issue => `${issue.severity} ${issue.path}: ${issue.message}`);
+
             if (typeof toastr !== 'undefined') {
-                toastr.success('Image hidden');
+                if (!result.valid) toastr.error(summary);
+                else if (result.warnings.length > 0) toastr.warning(summary);
+                else toastr.success(summary);
             }
-            return '';
+
+            if (lines.length > 0) {
+                console.log(`[Map] ${summary}\n${lines.join('\n')}`);
+            }
+
+            return [summary, ...lines].join('\n');
         } catch (e) {
-            console.error('[Map] Error in /stopimage command:', e);
-            return `Ошибка: ${e.message}`;
+            console.error('[Map] Error in /map_validate command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Hide image in map window',
+    'Validate map against map-schema.json (/map_validate [map_name])',
     true,
     true
 );
 
-// 🎬 Show video in map window from movies folder: /showmap_video file [muted=1] [loop=1] [size=40]
+// ⚙️ Extension settings: /map_config [key[=value]...]
 registerSlashCommand(
-    'showmap_video',
+    'map_config',
     async (args, value) => {
         try {
-            let raw = getRawArgs(args, value);
+            const raw = getRawArgs(args, value);
 
+            // Without arguments: list all settings
             if (!raw) {
-                return 'Usage: /showmap_video filename [muted=1] [loop=1] [size=40]';
+                return Object.keys(MAP_SETTING_FIELDS)
+                    .map(key => `${key}=${mapSettings[key]}`)
+                    .join('\n');
             }
 
-            // Parse options
-            const opt = {};
+            const pairs = [...raw.matchAll(/(\w+)=(?:"([^"]*)"|'([^']*)'|(\S*))/g)];
 
-            const mMuted = raw.match(/muted=(\d+)/i);
-            if (mMuted) {
-                opt.muted = mMuted[1] === '1';
-                raw = raw.replace(mMuted[0], '').trim();
+            // Single key without value: return its value
+            if (pairs.length === 0) {
+                if (!MAP_SETTING_FIELDS[raw]) {
+                    return `Unknown setting "${raw}". Settings: ${Object.keys(MAP_SETTING_FIELDS).join(', ')}`;
+                }
+                return String(mapSettings[raw]);
             }
 
-            const mLoop = raw.match(/loop=(\d+)/i);
-            if (mLoop) {
-                opt.loop = mLoop[1] === '1';
-                raw = raw.replace(mLoop[0], '').trim();
+            // Check all values before changing anything
+            const changes = pairs.map(([, key, double, single, plain]) => [key, parseMapSettingValue(key, double ?? single ?? plain)]);
+            changes.forEach(([key, parsed]) => setMapSetting(key, parsed));
+            return '';
+        } catch (e) {
+            console.error('[Map] Error in /map_config command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Get or change extension settings (/map_config, /map_config key, /map_config key=value [key=value...])',
+    true,
+    true
+);
+
+// 🛡 Map trust: /map_trust [trusted|restricted] [map_name]
+registerSlashCommand(
+    'map_trust',
+    async (args, value) => {
+        try {
+            let raw = getRawArgs(args, value);
+            let trust = null;
+
+            const mTrust = raw.match(/^(trusted|restricted)\b/i);
+            if (mTrust) {
+                trust = mTrust[1].toLowerCase();
+                raw = raw.slice(mTrust[0].length).trim();
             }
 
-            const mSize = raw.match(/size=(\d{1,3})/i);
-            if (mSize) {
-                opt.sizePct = parseInt(mSize[1], 10);
-                raw = raw.replace(mSize[0], '').trim();
+            const mapPath = raw ? resolveMapPath(raw) : extensionState.currentLoadedMap;
+            if (!mapPath) {
+                return 'Usage: /map_trust [trusted|restricted] [map_name]';
             }
 
-            // Per request — do NOT load map and do NOT call showMap
-            await playMapVideo(raw, opt);
-            return '';
+            if (trust) {
+                setMapTrust(mapPath, trust);
+            }
+            return getMapTrust(mapPath);
         } catch (e) {
-            console.error('[Map]  Error in /showmap_video command:', e);
-            return `Ошибка: ${e.message}`;
+            console.error('[Map] Error in /map_trust command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Show video in map window from movies folder (/showmap_video file [muted=1] [loop=1] [size=40])',
+    'Get or set whether zone scripts of a map are trusted (/map_trust [trusted|restricted] [map_name])',
     true,
     true
 );
 
-// 🎬🛑 Stop video
+// 🛡 Blocked zone scripts: /map_sandbox_log [clear]
 registerSlashCommand(
-    'stopvideo',
-    async () => {
+    'map_sandbox_log',
+    async (args, value) => {
         try {
-            stopCurrentMapVideo();
-            if (typeof toastr !== 'undefined') toastr.success('Video stopped');
-            return '';
+            const raw = getRawArgs(args, value);
+            const stored = getStoredSettings();
+
+            if (raw.toLowerCase() === 'clear') {
+                stored.sandboxLog = [];
+                saveSettingsDebounced();
+                return '';
+            }
+
+            return stored.sandboxLog
+                .map(entry => `${entry.time} ${entry.map} #${entry.zone}: /${entry.commands.join(', /')}`)
+                .join('\n');
         } catch (e) {
-            console.error('[Map]  Error in /stopvideo command:', e);
-            return `Ошибка: ${e.message}`;
+            console.error('[Map] Error in /map_sandbox_log command:', e);
+            return `Error: ${e.message}`;
         }
     },
     [],
-    'Stop video in map window',
+    'List zone scripts blocked on untrusted maps (/map_sandbox_log [clear])',
+    true,
+    true
+);
+
+// 📦 Export map pack: /map_export [map_name]
+registerSlashCommand(
+    'map_export',
+    async (args, value) => {
+        try {
+            const raw = getRawArgs(args, value);
+            const mapPath = raw ? resolveMapPath(raw) : extensionState.currentLoadedMap;
+
+            if (!mapPath) {
+                return 'Usage: /map_export [map_name]';
+            }
+
+            const manifest = await exportMapPack(mapPath);
+            const summary = `${manifest.root}: ${manifest.maps.length} map(s), ${manifest.files.length} file(s) exported, ${manifest.bundled.length} bundled file(s) referenced`;
+
+            if (manifest.missing.length > 0) {
+                return `${summary}\nNot found: ${manifest.missing.join(', ')}`;
+            }
+            return summary;
+        } catch (e) {
+            console.error('[Map] Error in /map_export command:', e);
+            return `Error: ${e.message}`;
+        }
+    },
+    [],
+    'Download map with its linked maps, sounds, images and movies as a map pack (/map_export [map_name])',
     true,
     true
 );
@@ -1597,6 +8141,25 @@ registerSlashCommand(
                 <div class="fa-solid fa-refresh"></div>
                 <span>Refresh</span>
               </div>
+              <div id="map_import" class="menu_button menu_button_icon" style="flex: 1;" title="Select map JSON, background image and optional sounds, images and movies, or a map pack">
+                <div class="fa-solid fa-file-import"></div>
+                <span>Import map</span>
+              </div>
+              <div id="map_export" class="menu_button menu_button_icon" style="flex: 1;" title="Download selected map with its linked maps, sounds, images and movies as a map pack">
+                <div class="fa-solid fa-file-export"></div>
+                <span>Export pack</span>
+              </div>
+            </div>
+            <div id="map_remove_imported" class="menu_button menu_button_icon" style="margin-top: 10px; display: none;">
+              <div class="fa-solid fa-trash-can"></div>
+              <span>Remove imported map</span>
+            </div>
+            <label class="checkbox_label" for="map_trust_selected" title="Untrusted maps may only run map, narration and variable commands, and ask before running each zone script the first time">
+              <input id="map_trust_selected" type="checkbox" />
+              <span>Trust zone scripts of selected map</span>
+            </label>
+            <hr class="sysHR" />
+            <div class="map_settings_controls flex-container flexFlowColumn">${getMapSettingsHtml()}
             </div>
           </div>
         </div>
@@ -1605,7 +8168,40 @@ registerSlashCommand(
 
     $('#extensions_settings2').append(settingsHtml);
     
+    setupMapSettingControls();
+    $('#map_trust_selected').on('change', function () {
+      const mapPath = extensionState.currentLoadedMap;
+      if (!mapPath) return;
+      setMapTrust(mapPath, this.checked ? 'trusted' : 'restricted');
+    });
     $('#map_load').on('click', showMap);
+    $('#map_import').on('click', openMapImportDialog);
+    $('#map_export').on('click', async () => {
+      const mapPath = extensionState.currentLoadedMap;
+      if (!mapPath) return;
+
+      try {
+        if (typeof toastr !== 'undefined') toastr.info('Exporting map pack...');
+        const manifest = await exportMapPack(mapPath);
+
+        if (typeof toastr !== 'undefined') {
+          if (manifest.missing.length > 0) {
+            toastr.warning(`Files not found and not exported: ${manifest.missing.join(', ')}`);
+          }
+          toastr.success(`Map pack "${manifest.name}" exported: ${manifest.maps.length} map(s), ${manifest.files.length} file(s)`);
+        }
+      } catch (error) {
+        console.error('[Map] Export error:', error);
+        if (typeof toastr !== 'undefined') toastr.error(`Export error: ${error.message}`);
+      }
+    });
+    $('#map_remove_imported').on('click', async () => {
+      const mapPath = extensionState.currentLoadedMap;
+      if (!mapPath || !removeImportedMap(mapPath)) return;
+
+      await initializeMapSelection();
+      if (typeof toastr !== 'undefined') toastr.success(`Map "${getMapLabel(mapPath)}" removed`);
+    });
     $('#map_refresh').on('click', async () => {
       if (typeof toastr !== 'undefined') toastr.info('Refreshing map list...');
       